@@ -1,6 +1,7 @@
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
+import SearchBox from './SearchBox';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -16,6 +17,8 @@ const Navbar = () => {
           👟 ShoeStore
         </Link>
 
+        <SearchBox />
+
         <ul className="nav-menu">
           <li><Link to="/">Home</Link></li>
           <li><Link to="/shop">Shop</Link></li>
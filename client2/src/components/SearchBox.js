@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { productService } from '../services/api';
+import './SearchBox.css';
+
+// Navbar search with suggestions while typing (debounced)
+// Enter searches the shop; a suggestion goes to its brand, category or product.
+const SearchBox = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    // Responses to older keystrokes are dropped
+    let current = true;
+    const timer = setTimeout(() => {
+      productService.suggest(q)
+        .then((response) => {
+          if (current) setSuggestions(response.data.data);
+        })
+        .catch((error) => console.error('Error fetching suggestions:', error));
+    }, 250);
+
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const goTo = (path) => {
+    setOpen(false);
+    setQuery('');
+    navigate(path);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (q) goTo(`/shop?search=${encodeURIComponent(q)}`);
+  };
+
+  const hasResults = suggestions && (
+    suggestions.names.length || suggestions.brands.length ||
+    suggestions.categories.length || suggestions.products.length
+  );
+
+  return (
+    <form className="search-box" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        placeholder="Search shoes, brands..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        // Let a click on a suggestion land before the dropdown closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+      />
+
+      {open && suggestions && (
+        <div className="search-suggestions">
+          {!hasResults && <div className="suggestion-empty">No matches for “{suggestions.query}”</div>}
+          {hasResults && suggestions.fuzzy && (
+            <div className="suggestion-note">Showing results for similar spellings</div>
+          )}
+
+          {suggestions.names.map((name) => (
+            <button type="button" key={name} onClick={() => goTo(`/shop?search=${encodeURIComponent(name)}`)}>
+              🔎 {name}
+            </button>
+          ))}
+          {suggestions.brands.map((brand) => (
+            <button type="button" key={brand.slug} onClick={() => goTo(`/shop?brand=${encodeURIComponent(brand.name)}`)}>
+              <span className="suggestion-kind">Brand</span> {brand.name}
+            </button>
+          ))}
+          {suggestions.categories.map((category) => (
+            <button
+              type="button"
+              key={category.slug}
+              onClick={() => goTo(`/shop?category=${encodeURIComponent(category.name)}`)}
+            >
+              <span className="suggestion-kind">Category</span> {category.path}
+            </button>
+          ))}
+
+          {suggestions.products.length > 0 && (
+            <div className="suggestion-products">
+              {suggestions.products.map((product) => (
+                <button type="button" key={product._id} onClick={() => goTo(`/product/${product._id}`)}>
+                  <img src={product.mainImage} alt={product.name} />
+                  <span>
+                    <small>{product.brand}</small>
+                    {product.name}
+                    <strong>${Number(product.finalPrice).toFixed(2)}</strong>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
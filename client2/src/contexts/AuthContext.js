@@ -26,15 +26,41 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const startSession = ({ user, token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+  };
+
+  // Resolves to { success } or, for 2FA accounts, { success: false, twoFactor }
+  // with the challenge to finish through completeTwoFactorLogin
   const login = async (email, password) => {
     try {
       const response = await authService.login({ email, password });
-      const { user, token } = response.data.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
-      
+      const { data } = response.data;
+
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactor: data };
+      }
+
+      startSession(data);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Login failed'
+      };
+    }
+  };
+
+  // Second login step: { code } or { backupCode }
+  const completeTwoFactorLogin = async (challengeToken, factor) => {
+    try {
+      const response = await authService.loginTwoFactor(challengeToken, factor);
+      const { data } = response.data;
+
+      startSession(data);
       return { success: true };
     } catch (error) {
       return {
@@ -44,12 +70,30 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Admin 2FA setup from the emailed link: the first code signs in
+  // Resolves to { success, backupCodes } (shown once)
+  const completeTwoFactorSetup = async (token, code) => {
+    try {
+      const response = await authService.loginTwoFactorEnable(token, code);
+      const { data } = response.data;
+
+      startSession(data);
+      return { success: true, backupCodes: data.backupCodes };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Could not enable two-factor authentication'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await authService.register(userData);
-      const { user, token } = response.data.data;
+      const { user, token, refreshToken } = response.data.data;
       
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
       setUser(user);
       
@@ -62,23 +106,67 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
   };
 
-  const isAdmin = () => {
-    return user?.role === 'admin';
+  // Revoke this device's refresh token on the server, then forget it
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      await authService.logout(refreshToken)
+        .catch((error) => console.error('Error logging out:', error));
+    }
+    clearSession();
+  };
+
+  // Revoke every session of this user (all devices)
+  const logoutAll = async () => {
+    try {
+      await authService.logoutAll();
+    } catch (error) {
+      console.error('Error logging out of all devices:', error);
+    }
+    clearSession();
   };
 
+  // Anonymize the account ({ password, code? }), then forget the session
+  const deleteAccount = async (confirmation) => {
+    try {
+      await authService.deleteAccount(confirmation);
+      clearSession();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Could not delete the account'
+      };
+    }
+  };
+
+  // Capabilities come from the server with the user (config/permissions.js)
+  const hasPermission = (permission) => {
+    return Boolean(user?.permissions?.includes(permission));
+  };
+
+  // Admins and other staff roles (warehouse, support) reach the dashboard
+  const isAdmin = () => hasPermission('admin:access');
+
   const value = {
     user,
     setUser,
     login,
+    completeTwoFactorLogin,
+    completeTwoFactorSetup,
     register,
     logout,
+    logoutAll,
+    deleteAccount,
     isAdmin,
+    hasPermission,
     isAuthenticated: !!user
   };
 
@@ -1,4 +1,6 @@
 import { createContext, useState, useContext, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import { cartService } from '../services/api';
 
 const CartContext = createContext(null);
 
@@ -10,28 +12,61 @@ export const useCart = () => {
   return context;
 };
 
+// Anonymous carts live in localStorage; once the user is logged in the
+// server cart (/api/cart) is the source of truth and prices come from it.
 export const CartProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id || user?._id;
   const [cart, setCart] = useState([]);
 
-  // Load cart from localStorage on mount
+  // Anonymous: load cart from localStorage (on mount and after logout;
+  // the server keeps the logged-out user's cart).
+  // Logged in: merge the anonymous cart into the server cart.
   useEffect(() => {
-    const savedCart = localStorage.getItem('cart');
-    if (savedCart) {
-      setCart(JSON.parse(savedCart));
+    if (!userId) {
+      setCart(JSON.parse(localStorage.getItem('cart') || '[]'));
+      return;
     }
-  }, []);
 
-  // Save cart to localStorage whenever it changes
+    const localCart = JSON.parse(localStorage.getItem('cart') || '[]');
+    const items = localCart.map(item => ({
+      product: item.product._id,
+      color: item.color,
+      size: item.size,
+      quantity: item.quantity
+    }));
+
+    cartService.merge(items)
+      .then((response) => {
+        localStorage.removeItem('cart');
+        setCart(response.data.data.items);
+      })
+      .catch((error) => console.error('Error syncing cart:', error));
+  }, [userId]);
+
+  // Save cart to localStorage whenever it changes (anonymous carts only)
   useEffect(() => {
-    localStorage.setItem('cart', JSON.stringify(cart));
-  }, [cart]);
+    if (!userId) {
+      localStorage.setItem('cart', JSON.stringify(cart));
+    }
+  }, [cart, userId]);
+
+  // Apply a server cart response to local state
+  const syncWithServer = (request) =>
+    request
+      .then((response) => setCart(response.data.data.items))
+      .catch((error) => console.error('Error updating cart:', error));
 
   const addToCart = (product, color, size, quantity = 1) => {
+    if (userId) {
+      return syncWithServer(cartService.addItem({ product: product._id, color, size, quantity }));
+    }
+
     setCart(prevCart => {
       // Check if item already exists in cart
       const existingIndex = prevCart.findIndex(
-        item => item.product._id === product._id && 
-                item.color === color && 
+        item => item.product._id === product._id &&
+                item.color === color &&
                 item.size === size
       );
 
@@ -54,10 +89,14 @@ export const CartProvider = ({ children }) => {
   };
 
   const removeFromCart = (productId, color, size) => {
-    setCart(prevCart => 
-      prevCart.filter(item => 
-        !(item.product._id === productId && 
-          item.color === color && 
+    if (userId) {
+      return syncWithServer(cartService.removeItem(productId, color, size));
+    }
+
+    setCart(prevCart =>
+      prevCart.filter(item =>
+        !(item.product._id === productId &&
+          item.color === color &&
           item.size === size)
       )
     );
@@ -65,14 +104,17 @@ export const CartProvider = ({ children }) => {
 
   const updateQuantity = (productId, color, size, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId, color, size);
-      return;
+      return removeFromCart(productId, color, size);
+    }
+
+    if (userId) {
+      return syncWithServer(cartService.updateItem(productId, color, size, quantity));
     }
 
     setCart(prevCart =>
       prevCart.map(item =>
-        item.product._id === productId && 
-        item.color === color && 
+        item.product._id === productId &&
+        item.color === color &&
         item.size === size
           ? { ...item, quantity }
           : item
@@ -82,6 +124,9 @@ export const CartProvider = ({ children }) => {
 
   const clearCart = () => {
     setCart([]);
+    if (userId) {
+      cartService.clear().catch((error) => console.error('Error clearing cart:', error));
+    }
   };
 
   const getCartTotal = () => {
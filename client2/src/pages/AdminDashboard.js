@@ -1,19 +1,73 @@
 import { useState, useEffect } from 'react';
-import { productService, orderService, analyticsService } from '../services/api';
+import {
+  productService, orderService, analyticsService, returnService, userService, auditService,
+  brandService, categoryService
+} from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
 import '../styles/AdminDashboard.css';
 
+// Dashboard tabs and the capability each one needs
+const TABS = [
+  { id: 'products', label: 'Products', permission: 'products:write' },
+  { id: 'catalog', label: 'Catalog', permission: 'products:write' },
+  { id: 'stock', label: 'Stock', permission: 'stock:write' },
+  { id: 'orders', label: 'Orders', permission: 'orders:read' },
+  { id: 'returns', label: 'Returns', permission: 'orders:read' },
+  { id: 'users', label: 'Users', permission: 'users:manage' },
+  { id: 'analytics', label: 'Analytics', permission: 'stats:read' },
+  { id: 'activity', label: 'Activity', permission: 'audit:read' }
+];
+
+const AUDIT_TARGETS = ['Product', 'Brand', 'Category', 'Order', 'User'];
+
+// Audit values are any JSON: show strings bare, everything else as JSON
+const formatAuditValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const ROLES = ['user', 'warehouse', 'support', 'admin'];
+
+// One stock input per product variant
+const stockKey = (productId, color, size) => `${productId}|${color}|${size}`;
+
+const EMPTY_BRAND = { name: '', description: '', logoUrl: '', isActive: true };
+const EMPTY_CATEGORY = { name: '', parent: '', description: '', imageUrl: '', isActive: true };
+
 const AdminDashboard = () => {
-  const [activeTab, setActiveTab] = useState('products');
+  const { hasPermission } = useAuth();
+  const tabs = TABS.filter((tab) => hasPermission(tab.permission));
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id);
   const [products, setProducts] = useState([]);
   const [orders, setOrders] = useState([]);
   const [analytics, setAnalytics] = useState(null);
+  const [returns, setReturns] = useState([]);
+  const [returnFilter, setReturnFilter] = useState('');
+  const [users, setUsers] = useState({ data: [], page: 1, pages: 1, total: 0 });
+  const [userFilters, setUserFilters] = useState({ search: '', role: '', isActive: '', page: 1 });
+  const [activity, setActivity] = useState({ data: [], page: 1, pages: 1, total: 0 });
+  const [activityFilters, setActivityFilters] = useState({ action: '', targetModel: '', actorEmail: '', from: '', to: '', page: 1 });
+  // Stock tab: products by page (cursor) and the inputs not saved yet
+  const [stockProducts, setStockProducts] = useState({ data: [], nextCursor: null, total: 0 });
+  const [stockSearch, setStockSearch] = useState('');
+  const [stockEdits, setStockEdits] = useState({});
   const [showProductForm, setShowProductForm] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
+  // Brands and categories, inactive ones included (the catalog tab edits them)
+  const [brands, setBrands] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [brandForm, setBrandForm] = useState(EMPTY_BRAND);
+  const [editingBrandId, setEditingBrandId] = useState(null);
+  const [categoryForm, setCategoryForm] = useState(EMPTY_CATEGORY);
+  const [editingCategoryId, setEditingCategoryId] = useState(null);
+
+  const activeBrands = brands.filter((brand) => brand.isActive);
+  const activeCategories = categories.filter((category) => category.isActive);
 
   const makeEmptyProduct = () => ({
     name: '',
-    brand: 'Nike',
-    category: 'Running',
+    brand: activeBrands[0]?.name || '',
+    category: activeCategories[0]?.name || '',
     price: 0,
     discountPercentage: 0,
     description: '',
@@ -33,10 +87,34 @@ const AdminDashboard = () => {
 
   useEffect(() => {
     if (activeTab === 'products') fetchProducts();
+    if (activeTab === 'products' || activeTab === 'catalog') fetchTaxonomy();
     if (activeTab === 'orders') fetchOrders();
     if (activeTab === 'analytics') fetchAnalytics();
   }, [activeTab]);
 
+  useEffect(() => {
+    if (activeTab === 'returns') fetchReturns(returnFilter);
+  }, [activeTab, returnFilter]);
+
+  // Debounce typing in the user search box
+  useEffect(() => {
+    if (activeTab !== 'users') return undefined;
+    const timer = setTimeout(() => fetchUsers(userFilters), 300);
+    return () => clearTimeout(timer);
+  }, [activeTab, userFilters]);
+
+  useEffect(() => {
+    if (activeTab !== 'stock') return undefined;
+    const timer = setTimeout(() => fetchStock(stockSearch), 300);
+    return () => clearTimeout(timer);
+  }, [activeTab, stockSearch]);
+
+  useEffect(() => {
+    if (activeTab !== 'activity') return undefined;
+    const timer = setTimeout(() => fetchActivity(activityFilters), 300);
+    return () => clearTimeout(timer);
+  }, [activeTab, activityFilters]);
+
   const fetchProducts = async () => {
     try {
       const response = await productService.getAll();
@@ -49,6 +127,124 @@ const AdminDashboard = () => {
     }
   };
 
+  // First page for a search, or the next page after cursor
+  const fetchStock = async (search, cursor) => {
+    try {
+      const response = await productService.getAll({ search: search.trim() || undefined, cursor, limit: 50 });
+      const { data, nextCursor, total } = response.data;
+      setStockProducts((prev) => ({
+        data: cursor ? [...prev.data, ...data] : data,
+        nextCursor,
+        total: cursor ? prev.total : total
+      }));
+    } catch (error) {
+      console.error('Error fetching stock:', error);
+    }
+  };
+
+  // Set one variant's stock, then show the product as saved
+  const handleSaveStock = async (product, color, size) => {
+    const key = stockKey(product._id, color, size);
+    try {
+      const response = await productService.updateStock(product._id, {
+        colorName: color,
+        size,
+        stock: Number(stockEdits[key])
+      });
+      const updated = response.data.data;
+      setStockProducts((prev) => ({
+        ...prev,
+        data: prev.data.map((entry) => (entry._id === updated._id ? updated : entry))
+      }));
+      setStockEdits((prev) => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    } catch (error) {
+      console.error('Error updating stock:', error);
+      alert(error?.response?.data?.message || error?.message || 'Failed to update stock');
+    }
+  };
+
+  const fetchTaxonomy = async () => {
+    try {
+      const [brandResponse, categoryResponse] = await Promise.all([
+        brandService.getAll({ includeInactive: true }),
+        categoryService.getAll({ includeInactive: true })
+      ]);
+      setBrands(brandResponse.data.data || []);
+      setCategories(categoryResponse.data.data || []);
+    } catch (error) {
+      console.error('Error fetching brands and categories:', error);
+    }
+  };
+
+  // Create or update a brand / category from its form, then reload both lists
+  const handleSubmitTaxonomy = async (e, kind) => {
+    e.preventDefault();
+    const isBrand = kind === 'brand';
+    const service = isBrand ? brandService : categoryService;
+    const editingId = isBrand ? editingBrandId : editingCategoryId;
+    const data = isBrand ? brandForm : { ...categoryForm, parent: categoryForm.parent || null };
+    try {
+      if (editingId) {
+        await service.update(editingId, data);
+      } else {
+        await service.create(data);
+      }
+      resetTaxonomyForm(kind);
+      fetchTaxonomy();
+    } catch (error) {
+      console.error(`Error saving ${kind}:`, error);
+      alert(error?.response?.data?.message || error?.message || `Failed to save ${kind}`);
+    }
+  };
+
+  const handleEditTaxonomy = (kind, item) => {
+    if (kind === 'brand') {
+      setEditingBrandId(item._id);
+      setBrandForm({
+        name: item.name,
+        description: item.description || '',
+        logoUrl: item.logoUrl || '',
+        isActive: item.isActive
+      });
+    } else {
+      setEditingCategoryId(item._id);
+      setCategoryForm({
+        name: item.name,
+        parent: item.parent || '',
+        description: item.description || '',
+        imageUrl: item.imageUrl || '',
+        isActive: item.isActive
+      });
+    }
+  };
+
+  const resetTaxonomyForm = (kind) => {
+    if (kind === 'brand') {
+      setEditingBrandId(null);
+      setBrandForm(EMPTY_BRAND);
+    } else {
+      setEditingCategoryId(null);
+      setCategoryForm(EMPTY_CATEGORY);
+    }
+  };
+
+  // The server refuses to delete a brand or category still in use
+  const handleDeleteTaxonomy = async (kind, item) => {
+    if (!window.confirm(`Delete ${kind} "${item.name}"?`)) return;
+    try {
+      await (kind === 'brand' ? brandService : categoryService).delete(item._id);
+      resetTaxonomyForm(kind);
+      fetchTaxonomy();
+    } catch (error) {
+      console.error(`Error deleting ${kind}:`, error);
+      alert(error?.response?.data?.message || error?.message || `Failed to delete ${kind}`);
+    }
+  };
+
   const fetchOrders = async () => {
     try {
       const response = await orderService.getAll();
@@ -61,6 +257,103 @@ const AdminDashboard = () => {
     }
   };
 
+  // Move an order along the server's transition graph
+  const handleOrderStatusChange = async (order, status) => {
+    if (!status) return;
+    let trackingNumber;
+    if (status === 'Shipped' && !order.trackingNumber) {
+      trackingNumber = window.prompt('Tracking number');
+      if (!trackingNumber) return;
+    }
+    try {
+      await orderService.updateStatus(order._id, { status, trackingNumber });
+      fetchOrders();
+    } catch (error) {
+      console.error('Error updating order status:', error);
+      const data = error?.response?.data;
+      const allowed = data?.allowed?.length ? ` Allowed: ${data.allowed.join(', ')}` : '';
+      alert(`${data?.message || error?.message || 'Failed to update status'}.${allowed}`);
+    }
+  };
+
+  const fetchUsers = async (filters) => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const response = await userService.getAll(params);
+      const { data, page, pages, total } = response.data;
+      setUsers({ data: data || [], page, pages, total });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  };
+
+  const updateUserFilter = (field, value) => {
+    setUserFilters((prev) => ({ ...prev, [field]: value, page: field === 'page' ? value : 1 }));
+  };
+
+  // Role / active changes and unlocks, then reload the page of users
+  const handleUserAction = async (user, action, value) => {
+    try {
+      if (action === 'unlock') {
+        await userService.unlock(user._id);
+      } else {
+        if (action === 'isActive' && !value &&
+            !window.confirm(`Deactivate ${user.email}? They will be logged out everywhere.`)) return;
+        await userService.update(user._id, { [action]: value });
+      }
+      fetchUsers(userFilters);
+    } catch (error) {
+      console.error('Error updating user:', error);
+      alert(error?.response?.data?.message || error?.message || 'Failed to update user');
+    }
+  };
+
+  const fetchActivity = async (filters) => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      // The "to" date includes the whole day
+      if (params.to) params.to = `${params.to}T23:59:59.999`;
+      const response = await auditService.getAll(params);
+      const { data, page, pages, total } = response.data;
+      setActivity({ data: data || [], page, pages, total });
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+    }
+  };
+
+  const updateActivityFilter = (field, value) => {
+    setActivityFilters((prev) => ({ ...prev, [field]: value, page: field === 'page' ? value : 1 }));
+  };
+
+  const fetchReturns = async (status) => {
+    try {
+      const response = await returnService.getAll(status ? { status } : undefined);
+      setReturns(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+    }
+  };
+
+  // Approve / reject / receive / refund one return, then reload the list
+  const handleReturnAction = async (row, action) => {
+    const { orderId, return: rma } = row;
+    try {
+      if (action === 'refund') {
+        const amount = window.prompt('Refund amount', rma.eligibleRefund.toFixed(2));
+        if (amount === null) return;
+        await returnService.refund(orderId, rma._id, { amount: Number(amount) });
+      } else {
+        const note = action === 'reject' ? window.prompt('Reason for rejecting (shown to the customer)') : undefined;
+        if (note === null) return;
+        await returnService[action](orderId, rma._id, note);
+      }
+      fetchReturns(returnFilter);
+    } catch (error) {
+      console.error(`Error on return ${action}:`, error);
+      alert(error?.response?.data?.message || error?.message || `Failed to ${action} return`);
+    }
+  };
+
   const fetchAnalytics = async () => {
     try {
       const [revenue, topRated, inventory] = await Promise.all([
@@ -235,8 +528,8 @@ const AdminDashboard = () => {
     setEditingProduct(product);
     setFormData({
       name: product?.name || '',
-      brand: product?.brand || 'Nike',
-      category: product?.category || 'Running',
+      brand: product?.brand || '',
+      category: product?.category || '',
       price: Number(product?.price) || 0,
       discountPercentage: clampDiscount(product?.discountPercentage ?? 0),
       description: product?.description || '',
@@ -254,6 +547,10 @@ const AdminDashboard = () => {
     setShowProductForm(true);
   };
 
+  // Keep a product's current brand/category selectable after it was deactivated
+  const withCurrent = (list, name) =>
+    !name || list.some((item) => item.name === name) ? list : [...list, { _id: name, name }];
+
   const handleToggleForm = () => {
     if (showProductForm) {
       setShowProductForm(false);
@@ -271,15 +568,15 @@ const AdminDashboard = () => {
       <h1>Admin Dashboard</h1>
 
       <div className="tabs">
-        <button className={activeTab === 'products' ? 'active' : ''} onClick={() => setActiveTab('products')}>
-          Products
-        </button>
-        <button className={activeTab === 'orders' ? 'active' : ''} onClick={() => setActiveTab('orders')}>
-          Orders
-        </button>
-        <button className={activeTab === 'analytics' ? 'active' : ''} onClick={() => setActiveTab('analytics')}>
-          Analytics
-        </button>
+        {tabs.map((tab) => (
+          <button
+            key={tab.id}
+            className={activeTab === tab.id ? 'active' : ''}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
       </div>
 
       {activeTab === 'products' && (
@@ -304,24 +601,23 @@ const AdminDashboard = () => {
               <select
                 value={formData.brand}
                 onChange={(e) => setFormData({ ...formData, brand: e.target.value })}
+                required
               >
-                <option value="Nike">Nike</option>
-                <option value="Adidas">Adidas</option>
-                <option value="Puma">Puma</option>
-                <option value="Reebok">Reebok</option>
-                <option value="New Balance">New Balance</option>
-                <option value="Converse">Converse</option>
-                <option value="Vans">Vans</option>
+                <option value="">Brand</option>
+                {withCurrent(activeBrands, formData.brand).map((brand) => (
+                  <option key={brand._id} value={brand.name}>{brand.name}</option>
+                ))}
               </select>
 
               <select
                 value={formData.category}
                 onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                required
               >
-                <option value="Running">Running</option>
-                <option value="Basketball">Basketball</option>
-                <option value="Casual">Casual</option>
-                <option value="Training">Training</option>
+                <option value="">Category</option>
+                {withCurrent(activeCategories, formData.category).map((category) => (
+                  <option key={category._id} value={category.name}>{category.path || category.name}</option>
+                ))}
               </select>
 
               <input
@@ -484,6 +780,234 @@ const AdminDashboard = () => {
         </div>
       )}
 
+      {activeTab === 'catalog' && (
+        <div className="catalog-tab">
+          <div className="tab-header">
+            <h2>Brands</h2>
+            <span className="muted">{brands.length} brands</span>
+          </div>
+
+          <form className="product-form taxonomy-form" onSubmit={(e) => handleSubmitTaxonomy(e, 'brand')}>
+            <input
+              type="text"
+              placeholder="Brand name"
+              value={brandForm.name}
+              onChange={(e) => setBrandForm({ ...brandForm, name: e.target.value })}
+              required
+            />
+            <input
+              type="url"
+              placeholder="Logo URL (optional)"
+              value={brandForm.logoUrl}
+              onChange={(e) => setBrandForm({ ...brandForm, logoUrl: e.target.value })}
+            />
+            <textarea
+              placeholder="Description (optional)"
+              value={brandForm.description}
+              onChange={(e) => setBrandForm({ ...brandForm, description: e.target.value })}
+            />
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={brandForm.isActive}
+                onChange={(e) => setBrandForm({ ...brandForm, isActive: e.target.checked })}
+              />
+              Active
+            </label>
+            <button type="submit">{editingBrandId ? 'Update' : 'Create'} Brand</button>
+            {editingBrandId && (
+              <button type="button" onClick={() => resetTaxonomyForm('brand')}>Cancel</button>
+            )}
+          </form>
+
+          <table className="orders-table taxonomy-table">
+            <thead>
+              <tr>
+                <th>Logo</th>
+                <th>Name</th>
+                <th>Slug</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {brands.map((brand) => (
+                <tr key={brand._id}>
+                  <td>{brand.logoUrl ? <img src={brand.logoUrl} alt={brand.name} width="40" /> : '—'}</td>
+                  <td>{brand.name}</td>
+                  <td><code>{brand.slug}</code></td>
+                  <td>
+                    <span className={`status ${brand.isActive ? 'delivered' : 'cancelled'}`}>
+                      {brand.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="return-actions">
+                    <button onClick={() => handleEditTaxonomy('brand', brand)}>Edit</button>
+                    <button onClick={() => handleDeleteTaxonomy('brand', brand)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+              {brands.length === 0 && (
+                <tr>
+                  <td colSpan="5">No brands yet</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <div className="tab-header">
+            <h2>Categories</h2>
+            <span className="muted">{categories.length} categories</span>
+          </div>
+
+          <form className="product-form taxonomy-form" onSubmit={(e) => handleSubmitTaxonomy(e, 'category')}>
+            <input
+              type="text"
+              placeholder="Category name"
+              value={categoryForm.name}
+              onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+              required
+            />
+            <select
+              value={categoryForm.parent}
+              onChange={(e) => setCategoryForm({ ...categoryForm, parent: e.target.value })}
+            >
+              <option value="">No parent (top level)</option>
+              {categories
+                .filter((category) => category._id !== editingCategoryId)
+                .map((category) => (
+                  <option key={category._id} value={category._id}>{category.path}</option>
+                ))}
+            </select>
+            <input
+              type="url"
+              placeholder="Image URL (optional)"
+              value={categoryForm.imageUrl}
+              onChange={(e) => setCategoryForm({ ...categoryForm, imageUrl: e.target.value })}
+            />
+            <textarea
+              placeholder="Description (optional)"
+              value={categoryForm.description}
+              onChange={(e) => setCategoryForm({ ...categoryForm, description: e.target.value })}
+            />
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={categoryForm.isActive}
+                onChange={(e) => setCategoryForm({ ...categoryForm, isActive: e.target.checked })}
+              />
+              Active
+            </label>
+            <button type="submit">{editingCategoryId ? 'Update' : 'Create'} Category</button>
+            {editingCategoryId && (
+              <button type="button" onClick={() => resetTaxonomyForm('category')}>Cancel</button>
+            )}
+          </form>
+
+          <table className="orders-table taxonomy-table">
+            <thead>
+              <tr>
+                <th>Image</th>
+                <th>Category</th>
+                <th>Slug</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map((category) => (
+                <tr key={category._id}>
+                  <td>{category.imageUrl ? <img src={category.imageUrl} alt={category.name} width="40" /> : '—'}</td>
+                  <td>{category.path}</td>
+                  <td><code>{category.slug}</code></td>
+                  <td>
+                    <span className={`status ${category.isActive ? 'delivered' : 'cancelled'}`}>
+                      {category.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="return-actions">
+                    <button onClick={() => handleEditTaxonomy('category', category)}>Edit</button>
+                    <button onClick={() => handleDeleteTaxonomy('category', category)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+              {categories.length === 0 && (
+                <tr>
+                  <td colSpan="5">No categories yet</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {activeTab === 'stock' && (
+        <div className="stock-tab">
+          <div className="tab-header">
+            <h2>Stock</h2>
+            <span className="muted">{stockProducts.total} products</span>
+          </div>
+
+          <div className="filters-row">
+            <input
+              type="search"
+              placeholder="Search products"
+              value={stockSearch}
+              onChange={(e) => setStockSearch(e.target.value)}
+            />
+          </div>
+
+          <table className="orders-table stock-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Color</th>
+                <th>Size</th>
+                <th>In stock</th>
+                <th>Set to</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stockProducts.data.flatMap((product) => product.colors.flatMap((color) => color.sizes.map((s) => {
+                const key = stockKey(product._id, color.name, s.size);
+                const edit = stockEdits[key];
+                const changed = edit !== undefined && edit !== '' && Number(edit) !== s.stock;
+                return (
+                  <tr key={key}>
+                    <td>{product.brand} {product.name}</td>
+                    <td>{color.name}</td>
+                    <td>{s.size}</td>
+                    <td>{s.stock}</td>
+                    <td className="return-actions">
+                      <input
+                        type="number"
+                        min="0"
+                        value={edit ?? s.stock}
+                        onChange={(e) => setStockEdits((prev) => ({ ...prev, [key]: e.target.value }))}
+                      />
+                      <button disabled={!changed} onClick={() => handleSaveStock(product, color.name, s.size)}>
+                        Save
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })))}
+              {stockProducts.data.length === 0 && (
+                <tr>
+                  <td colSpan="5">No products found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          {stockProducts.nextCursor && (
+            <div className="pagination">
+              <button onClick={() => fetchStock(stockSearch, stockProducts.nextCursor)}>Load more</button>
+            </div>
+          )}
+        </div>
+      )}
+
       {activeTab === 'orders' && (
         <div className="orders-tab">
           <h2>Orders Management</h2>
@@ -495,6 +1019,7 @@ const AdminDashboard = () => {
                 <th>Date</th>
                 <th>Total</th>
                 <th>Status</th>
+                <th>Next Status</th>
               </tr>
             </thead>
             <tbody>
@@ -509,10 +1034,292 @@ const AdminDashboard = () => {
                       {order.orderStatus}
                     </span>
                   </td>
+                  <td>
+                    {(order.allowedTransitions || []).length > 0 ? (
+                      <select value="" onChange={(e) => handleOrderStatusChange(order, e.target.value)}>
+                        <option value="">Move to…</option>
+                        {order.allowedTransitions.map((status) => (
+                          <option key={status} value={status}>{status}</option>
+                        ))}
+                      </select>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {activeTab === 'returns' && (
+        <div className="returns-tab">
+          <div className="tab-header">
+            <h2>Returns Management</h2>
+            <select value={returnFilter} onChange={(e) => setReturnFilter(e.target.value)}>
+              <option value="">All returns</option>
+              {['Requested', 'Approved', 'Received', 'Refunding', 'Refunded', 'Rejected'].map((status) => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+          <table className="orders-table returns-table">
+            <thead>
+              <tr>
+                <th>Order ID</th>
+                <th>Customer</th>
+                <th>Requested</th>
+                <th>Items</th>
+                <th>Refund</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {returns.map((row) => (
+                <tr key={row._id}>
+                  <td>#{String(row.orderId).slice(-8).toUpperCase()}</td>
+                  <td>{row.userName}</td>
+                  <td>{new Date(row.return.requestedAt).toLocaleDateString()}</td>
+                  <td>
+                    {row.return.items.map((item, idx) => (
+                      <div key={idx} className="return-item">
+                        {item.productName} ({item.color}, {item.size}) ×{item.quantity}
+                        <small> — {item.reason}</small>
+                        {item.restocked === false && <small> (not restocked)</small>}
+                      </div>
+                    ))}
+                  </td>
+                  <td>
+                    {row.return.status === 'Refunded'
+                      ? `$${Number(row.return.refundAmount).toFixed(2)}`
+                      : `up to $${Number(row.return.eligibleRefund).toFixed(2)}`}
+                  </td>
+                  <td>
+                    <span className={`status ${row.return.status.toLowerCase()}`}>{row.return.status}</span>
+                  </td>
+                  <td className="return-actions">
+                    {row.return.status === 'Requested' && hasPermission('returns:review') && (
+                      <>
+                        <button onClick={() => handleReturnAction(row, 'approve')}>Approve</button>
+                        <button onClick={() => handleReturnAction(row, 'reject')}>Reject</button>
+                      </>
+                    )}
+                    {row.return.status === 'Approved' && hasPermission('returns:receive') && (
+                      <button onClick={() => handleReturnAction(row, 'receive')}>Mark Received</button>
+                    )}
+                    {row.return.status === 'Received' && hasPermission('orders:refund') && (
+                      <button onClick={() => handleReturnAction(row, 'refund')}>Refund</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {returns.length === 0 && (
+                <tr>
+                  <td colSpan="7">No returns found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {activeTab === 'users' && (
+        <div className="users-tab">
+          <div className="tab-header">
+            <h2>Users Management</h2>
+            <span className="muted">{users.total} users</span>
+          </div>
+
+          <div className="filters-row">
+            <input
+              type="search"
+              placeholder="Search name or email"
+              value={userFilters.search}
+              onChange={(e) => updateUserFilter('search', e.target.value)}
+            />
+            <select value={userFilters.role} onChange={(e) => updateUserFilter('role', e.target.value)}>
+              <option value="">All roles</option>
+              {ROLES.map((role) => (
+                <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+              ))}
+            </select>
+            <select value={userFilters.isActive} onChange={(e) => updateUserFilter('isActive', e.target.value)}>
+              <option value="">Active & inactive</option>
+              <option value="true">Active</option>
+              <option value="false">Deactivated</option>
+            </select>
+          </div>
+
+          <table className="orders-table users-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Role</th>
+                <th>Orders</th>
+                <th>Lifetime Spend</th>
+                <th>Last Login</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.data.map((u) => (
+                <tr key={u._id}>
+                  <td>{u.name}</td>
+                  <td>{u.email}</td>
+                  <td>
+                    <select value={u.role} onChange={(e) => handleUserAction(u, 'role', e.target.value)}>
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>{u.orderCount}</td>
+                  <td>${Number(u.lifetimeSpend || 0).toFixed(2)}</td>
+                  <td>{u.lastLogin ? new Date(u.lastLogin).toLocaleDateString() : '—'}</td>
+                  <td>
+                    <span className={`status ${u.isActive ? 'delivered' : 'cancelled'}`}>
+                      {u.isActive ? 'Active' : 'Deactivated'}
+                    </span>
+                    {u.isLocked && <span className="status pending">Locked</span>}
+                  </td>
+                  <td className="return-actions">
+                    <button onClick={() => handleUserAction(u, 'isActive', !u.isActive)}>
+                      {u.isActive ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                    {u.isLocked && (
+                      <button onClick={() => handleUserAction(u, 'unlock')}>Unlock</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {users.data.length === 0 && (
+                <tr>
+                  <td colSpan="8">No users found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          {users.pages > 1 && (
+            <div className="pagination">
+              <button
+                disabled={users.page <= 1}
+                onClick={() => updateUserFilter('page', users.page - 1)}
+              >
+                ← Prev
+              </button>
+              <span>Page {users.page} of {users.pages}</span>
+              <button
+                disabled={users.page >= users.pages}
+                onClick={() => updateUserFilter('page', users.page + 1)}
+              >
+                Next →
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'activity' && (
+        <div className="activity-tab">
+          <div className="tab-header">
+            <h2>Activity</h2>
+            <span className="muted">{activity.total} entries</span>
+          </div>
+
+          <div className="filters-row">
+            <input
+              type="search"
+              placeholder="Action, e.g. product. or order.status"
+              value={activityFilters.action}
+              onChange={(e) => updateActivityFilter('action', e.target.value)}
+            />
+            <select value={activityFilters.targetModel} onChange={(e) => updateActivityFilter('targetModel', e.target.value)}>
+              <option value="">All targets</option>
+              {AUDIT_TARGETS.map((target) => (
+                <option key={target} value={target}>{target}</option>
+              ))}
+            </select>
+            <input
+              type="search"
+              placeholder="Actor email"
+              value={activityFilters.actorEmail}
+              onChange={(e) => updateActivityFilter('actorEmail', e.target.value)}
+            />
+            <input
+              type="date"
+              value={activityFilters.from}
+              onChange={(e) => updateActivityFilter('from', e.target.value)}
+            />
+            <input
+              type="date"
+              value={activityFilters.to}
+              onChange={(e) => updateActivityFilter('to', e.target.value)}
+            />
+          </div>
+
+          <table className="orders-table activity-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {activity.data.map((entry) => (
+                <tr key={entry._id}>
+                  <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td>{entry.actorEmail || 'System'}</td>
+                  <td><code>{entry.action}</code></td>
+                  <td>
+                    {entry.targetModel}
+                    {entry.targetId && <span className="muted"> #{String(entry.targetId).slice(-8)}</span>}
+                  </td>
+                  <td>
+                    {entry.changes?.length > 0 ? (
+                      <ul className="audit-changes">
+                        {entry.changes.map((change) => (
+                          <li key={change.field}>
+                            <strong>{change.field}</strong>: {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span className="muted">—</span>
+                    )}
+                  </td>
                 </tr>
               ))}
+              {activity.data.length === 0 && (
+                <tr>
+                  <td colSpan="5">No activity found</td>
+                </tr>
+              )}
             </tbody>
           </table>
+
+          {activity.pages > 1 && (
+            <div className="pagination">
+              <button
+                disabled={activity.page <= 1}
+                onClick={() => updateActivityFilter('page', activity.page - 1)}
+              >
+                ← Prev
+              </button>
+              <span>Page {activity.page} of {activity.pages}</span>
+              <button
+                disabled={activity.page >= activity.pages}
+                onClick={() => updateActivityFilter('page', activity.page + 1)}
+              >
+                Next →
+              </button>
+            </div>
+          )}
         </div>
       )}
 
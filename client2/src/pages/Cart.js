@@ -10,8 +10,8 @@ const Cart = () => {
 
   const subtotal = getCartTotal();
   const shipping = subtotal >= 100 ? 0 : 10;
-  const tax = subtotal * 0.08;
-  const total = subtotal + shipping + tax;
+  // Tax depends on the shipping address, so it is quoted at checkout
+  const total = subtotal + shipping;
 
   const handleCheckout = () => {
     if (!isAuthenticated) {
@@ -83,11 +83,11 @@ const Cart = () => {
             <p className="free-shipping-msg">Free shipping on orders over $100!</p>
           )}
           <div className="summary-line">
-            <span>Tax (8%):</span>
-            <span>${tax.toFixed(2)}</span>
+            <span>Tax:</span>
+            <span>Calculated at checkout</span>
           </div>
           <div className="summary-line total">
-            <span>Total:</span>
+            <span>Estimated Total:</span>
             <span>${total.toFixed(2)}</span>
           </div>
           <button className="checkout-btn" onClick={handleCheckout}>
@@ -1,24 +1,44 @@
-import { useState } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
-import { orderService } from '../services/api';
+import { orderService, reservationService, shippingService, addressService } from '../services/api';
 import '../styles/Checkout.css';
 import SuccessModal from '../components/SuccessModal';
 
+const EMPTY_ADDRESS = {
+  street: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'USA',
+  phoneNumber: ''
+};
+
+// Address book entry -> order shipping address
+const toShippingAddress = (saved) => ({
+  street: saved.street,
+  city: saved.city,
+  state: saved.state,
+  zipCode: saved.zipCode,
+  country: saved.country,
+  phoneNumber: saved.phoneNumber
+});
+
 const Checkout = () => {
   const { cart, getCartTotal, clearCart } = useCart();
   const navigate = useNavigate();
 
-  const [shippingAddress, setShippingAddress] = useState({
-    street: '',
-    city: '',
-    state: '',
-    zipCode: '',
-    country: 'USA',
-    phoneNumber: ''
-  });
+  const [shippingAddress, setShippingAddress] = useState(EMPTY_ADDRESS);
+
+  // Address book: pick a saved address ('new' = type one in)
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState('new');
+  const [saveNewAddress, setSaveNewAddress] = useState(false);
+  const [newAddressLabel, setNewAddressLabel] = useState('');
 
+  const [shippingMethod, setShippingMethod] = useState('standard');
+  const [shippingOptions, setShippingOptions] = useState([]);
   const [paymentMethod, setPaymentMethod] = useState('Credit Card');
   const [customerNotes, setCustomerNotes] = useState('');
   const [loading, setLoading] = useState(false);
@@ -27,11 +47,153 @@ const Checkout = () => {
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [createdOrder, setCreatedOrder] = useState(null);
 
+  // Stock hold placed when checkout starts
+  const [holdExpiresAt, setHoldExpiresAt] = useState(null);
+  const orderPlacedRef = useRef(false);
+
+  const orderItems = useMemo(() => cart.map(item => ({
+    product: item.product._id,
+    color: item.color,
+    size: item.size,
+    quantity: item.quantity
+  })), [cart]);
+
+  const selectAddress = (id) => {
+    setSelectedAddressId(id);
+    const saved = savedAddresses.find(entry => entry._id === id);
+    setShippingAddress(saved ? toShippingAddress(saved) : EMPTY_ADDRESS);
+  };
+
+  // Start from the default shipping address
+  useEffect(() => {
+    addressService.getAll()
+      .then((response) => {
+        const list = response.data.data;
+        setSavedAddresses(list);
+        const preferred = list.find(entry => entry.isDefaultShipping) || list[0];
+        if (preferred) {
+          setSelectedAddressId(preferred._id);
+          setShippingAddress(toShippingAddress(preferred));
+        }
+      })
+      .catch((error) => console.error('Error fetching addresses:', error));
+  }, []);
+
+  // Reserve the cart items while the customer fills in the form. A new
+  // hold replaces the previous one, so this also covers a server cart that
+  // loads after checkout opened.
+  useEffect(() => {
+    if (orderItems.length === 0) return;
+
+    reservationService.hold(orderItems)
+      .then((response) => setHoldExpiresAt(new Date(response.data.expiresAt)))
+      .catch((error) => {
+        setError(error.response?.data?.message || 'Some items could not be reserved');
+      });
+  }, [orderItems]);
+
+  // Release the hold if they leave without placing the order
+  useEffect(() => () => {
+    if (!orderPlacedRef.current) {
+      reservationService.release().catch(() => {});
+    }
+  }, []);
+
+
+  // Promo code and server quote (lines, discount, tax, shipping, total).
+  // Tax depends on the destination, so every total shown here comes from
+  // POST /orders/quote - the same code that prices the real order.
+  const [couponInput, setCouponInput] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponMessage, setCouponMessage] = useState({ type: '', text: '' });
+  const [quote, setQuote] = useState(null);
+
+  const requestQuote = (code) => orderService.quote({
+    items: orderItems,
+    shippingAddress,
+    shippingMethod,
+    couponCode: code || undefined
+  });
 
-  const subtotal = getCartTotal();
-  const shipping = subtotal >= 100 ? 0 : 10;
-  const tax = subtotal * 0.08;
-  const total = subtotal + shipping + tax;
+  // Re-quote shipping options and totals when the destination, the items,
+  // the coupon or the shipping method changes (debounced while typing).
+  // Rates and tax only depend on the state and country.
+  const { state, country } = shippingAddress;
+  const couponCode = appliedCoupon?.code;
+
+  useEffect(() => {
+    if (orderItems.length === 0) return undefined;
+
+    const destination = { state, country };
+    const timer = setTimeout(async () => {
+      try {
+        const optionsResponse = await shippingService.quote({
+          items: orderItems,
+          shippingAddress: destination,
+          couponCode
+        });
+        const options = optionsResponse.data.data;
+        setShippingOptions(options);
+
+        // Fall back to the first method if the selected one does not ship there
+        if (options.length > 0 && !options.some(option => option.code === shippingMethod)) {
+          setShippingMethod(options[0].code);
+          return;
+        }
+
+        const response = await orderService.quote({
+          items: orderItems,
+          shippingAddress: destination,
+          shippingMethod,
+          couponCode
+        });
+        setQuote(response.data.data);
+      } catch (error) {
+        console.error('Error fetching quote:', error);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [orderItems, state, country, shippingMethod, couponCode]);
+
+  const subtotal = quote ? quote.subtotal : getCartTotal();
+  const discount = quote ? quote.discount : 0;
+  const shipping = quote ? quote.shippingCost : null;
+  const tax = quote ? quote.tax : null;
+  const total = quote ? quote.totalAmount : null;
+
+  const formatMoney = (value) => (value === null ? '—' : `$${value.toFixed(2)}`);
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim();
+    if (!code) return;
+    setCouponMessage({ type: '', text: '' });
+
+    try {
+      const response = await requestQuote(code);
+      setQuote(response.data.data);
+      setAppliedCoupon(response.data.data.coupon);
+      setCouponMessage({ type: 'success', text: 'Coupon applied' });
+    } catch (error) {
+      setCouponMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Could not apply coupon'
+      });
+    }
+  };
+
+  const handleRemoveCoupon = async () => {
+    setAppliedCoupon(null);
+    setCouponInput('');
+    setCouponMessage({ type: '', text: '' });
+
+    try {
+      const response = await requestQuote();
+      setQuote(response.data.data);
+    } catch (error) {
+      console.error('Error fetching quote:', error);
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -39,25 +201,37 @@ const Checkout = () => {
     setLoading(true);
 
     try {
-      const items = cart.map(item => ({
-        product: item.product._id,
-        color: item.color,
-        size: item.size,
-        quantity: item.quantity
-      }));
+      let addressId = selectedAddressId === 'new' ? undefined : selectedAddressId;
+
+      // Save the typed address first, the order then copies it from the book
+      if (!addressId && saveNewAddress) {
+        const saved = await addressService.create({
+          ...shippingAddress,
+          label: newAddressLabel.trim() || 'Address'
+        });
+        addressId = saved.data.data._id;
+        // A retry after a failed order must not save it twice
+        setSavedAddresses([...savedAddresses, saved.data.data]);
+        setSelectedAddressId(addressId);
+        setSaveNewAddress(false);
+      }
 
       const orderData = {
-        items,
+        items: orderItems,
         shippingAddress,
+        addressId,
+        shippingMethod,
         paymentMethod,
-        customerNotes
+        customerNotes,
+        couponCode: appliedCoupon?.code
       };
 
       const response = await orderService.create(orderData);
+      orderPlacedRef.current = true;
 
       setCreatedOrder({
         id: response.data.data._id,
-        total: total,
+        total: response.data.data.totalAmount,
         itemsCount: cart.length
       });
 
@@ -87,61 +261,149 @@ const Checkout = () => {
         <div className="checkout-form-section">
           <form onSubmit={handleSubmit}>
             {error && <div className="error-message">{error}</div>}
+            {holdExpiresAt && (
+              <div className="hold-notice">
+                Your items are reserved until {holdExpiresAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </div>
+            )}
 
             <section className="form-section">
               <h2>Shipping Address</h2>
-              
-              <div className="form-group">
-                <label>Street Address *</label>
-                <input
-                  type="text"
-                  value={shippingAddress.street}
-                  onChange={(e) => setShippingAddress({...shippingAddress, street: e.target.value})}
-                  required
-                  placeholder="123 Main St"
-                />
-              </div>
 
-              <div className="form-row">
-                <div className="form-group">
-                  <label>City *</label>
-                  <input
-                    type="text"
-                    value={shippingAddress.city}
-                    onChange={(e) => setShippingAddress({...shippingAddress, city: e.target.value})}
-                    required
-                  />
-                </div>
-                <div className="form-group">
-                  <label>State *</label>
-                  <input
-                    type="text"
-                    value={shippingAddress.state}
-                    onChange={(e) => setShippingAddress({...shippingAddress, state: e.target.value})}
-                    required
-                  />
+              {savedAddresses.length > 0 && (
+                <div className="saved-addresses">
+                  {savedAddresses.map(saved => (
+                    <label key={saved._id} className="radio-option saved-address">
+                      <input
+                        type="radio"
+                        name="savedAddress"
+                        checked={selectedAddressId === saved._id}
+                        onChange={() => selectAddress(saved._id)}
+                      />
+                      <span className="saved-address-label">
+                        {saved.label}
+                        {saved.isDefaultShipping && <span className="default-tag">Default</span>}
+                      </span>
+                      <span className="saved-address-lines">
+                        {saved.street}, {saved.city}, {saved.state} {saved.zipCode}
+                      </span>
+                    </label>
+                  ))}
+                  <label className="radio-option saved-address">
+                    <input
+                      type="radio"
+                      name="savedAddress"
+                      checked={selectedAddressId === 'new'}
+                      onChange={() => selectAddress('new')}
+                    />
+                    <span className="saved-address-label">Use a new address</span>
+                  </label>
                 </div>
-              </div>
+              )}
 
-              <div className="form-row">
-                <div className="form-group">
-                  <label>Zip Code *</label>
-                  <input
-                    type="text"
-                    value={shippingAddress.zipCode}
-                    onChange={(e) => setShippingAddress({...shippingAddress, zipCode: e.target.value})}
-                    required
-                  />
-                </div>
-                <div className="form-group">
-                  <label>Phone Number *</label>
-                  <input
-                    type="tel"
-                    value={shippingAddress.phoneNumber}
-                    onChange={(e) => setShippingAddress({...shippingAddress, phoneNumber: e.target.value})}
-                    required
-                  />
-                </div>
+              {selectedAddressId === 'new' && (
+                <>
+                  <div className="form-group">
+                    <label>Street Address *</label>
+                    <input
+                      type="text"
+                      value={shippingAddress.street}
+                      onChange={(e) => setShippingAddress({...shippingAddress, street: e.target.value})}
+                      required
+                      placeholder="123 Main St"
+                    />
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>City *</label>
+                      <input
+                        type="text"
+                        value={shippingAddress.city}
+                        onChange={(e) => setShippingAddress({...shippingAddress, city: e.target.value})}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>State *</label>
+                      <input
+                        type="text"
+                        value={shippingAddress.state}
+                        onChange={(e) => setShippingAddress({...shippingAddress, state: e.target.value})}
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Zip Code *</label>
+                      <input
+                        type="text"
+                        value={shippingAddress.zipCode}
+                        onChange={(e) => setShippingAddress({...shippingAddress, zipCode: e.target.value})}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Phone Number *</label>
+                      <input
+                        type="tel"
+                        value={shippingAddress.phoneNumber}
+                        onChange={(e) => setShippingAddress({...shippingAddress, phoneNumber: e.target.value})}
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  <label className="save-address-option">
+                    <input
+                      type="checkbox"
+                      checked={saveNewAddress}
+                      onChange={(e) => setSaveNewAddress(e.target.checked)}
+                    />
+                    Save to my address book
+                  </label>
+                  {saveNewAddress && (
+                    <div className="form-group">
+                      <label>Label</label>
+                      <input
+                        type="text"
+                        value={newAddressLabel}
+                        onChange={(e) => setNewAddressLabel(e.target.value)}
+                        placeholder="Home, Work..."
+                        maxLength={40}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+            </section>
+
+            <section className="form-section">
+              <h2>Shipping Method</h2>
+              <div className="shipping-options">
+                {shippingOptions.map(option => (
+                  <label key={option.code} className="radio-option shipping-option">
+                    <input
+                      type="radio"
+                      value={option.code}
+                      checked={shippingMethod === option.code}
+                      onChange={(e) => setShippingMethod(e.target.value)}
+                    />
+                    <span className="shipping-name">{option.name}</span>
+                    <span className="shipping-eta">
+                      {option.minDays === option.maxDays
+                        ? `${option.maxDays} business day${option.maxDays > 1 ? 's' : ''}`
+                        : `${option.minDays}-${option.maxDays} business days`}
+                      {' • arrives by '}
+                      {new Date(option.estimatedDeliveryDate).toLocaleDateString()}
+                    </span>
+                    <span className="shipping-cost">
+                      {option.cost === 0 ? 'FREE' : `$${option.cost.toFixed(2)}`}
+                    </span>
+                  </label>
+                ))}
               </div>
             </section>
 
@@ -173,7 +435,7 @@ const Checkout = () => {
             </section>
 
             <button type="submit" className="place-order-btn" disabled={loading}>
-              {loading ? 'Processing...' : `Place Order - $${total.toFixed(2)}`}
+              {loading ? 'Processing...' : `Place Order - ${formatMoney(total)}`}
             </button>
           </form>
         </div>
@@ -193,22 +455,48 @@ const Checkout = () => {
             ))}
           </div>
 
+          <div className="coupon-section">
+            <div className="coupon-input">
+              <input
+                type="text"
+                placeholder="Promo code"
+                value={couponInput}
+                onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                disabled={!!appliedCoupon}
+              />
+              {appliedCoupon ? (
+                <button type="button" onClick={handleRemoveCoupon}>Remove</button>
+              ) : (
+                <button type="button" onClick={handleApplyCoupon}>Apply</button>
+              )}
+            </div>
+            {couponMessage.text && (
+              <p className={`coupon-message ${couponMessage.type}`}>{couponMessage.text}</p>
+            )}
+          </div>
+
           <div className="summary-totals">
             <div className="summary-line">
               <span>Subtotal:</span>
               <span>${subtotal.toFixed(2)}</span>
             </div>
+            {discount > 0 && (
+              <div className="summary-line discount">
+                <span>Discount ({quote.coupon?.code}):</span>
+                <span>-${discount.toFixed(2)}</span>
+              </div>
+            )}
             <div className="summary-line">
-              <span>Shipping:</span>
-              <span>{shipping === 0 ? 'FREE' : `$${shipping.toFixed(2)}`}</span>
+              <span>Shipping{quote?.shipping ? ` (${quote.shipping.name})` : ''}:</span>
+              <span>{shipping === 0 ? 'FREE' : formatMoney(shipping)}</span>
             </div>
             <div className="summary-line">
-              <span>Tax (8%):</span>
-              <span>${tax.toFixed(2)}</span>
+              <span>Tax{quote?.taxJurisdiction ? ` (${quote.taxJurisdiction})` : ''}:</span>
+              <span>{formatMoney(tax)}</span>
             </div>
             <div className="summary-line total">
               <span>Total:</span>
-              <span>${total.toFixed(2)}</span>
+              <span>{formatMoney(total)}</span>
             </div>
           </div>
         </div>
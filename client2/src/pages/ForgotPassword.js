@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
+import '../styles/Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await authService.forgotPassword(email);
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send reset link');
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <h2>Forgot Password</h2>
+      {error && <p className="error">{error}</p>}
+      {message ? (
+        <p className="notice">{message}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="login-form">
+          <label>Email:</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+          <button type="submit">Send Reset Link</button>
+        </form>
+      )}
+      <Link to="/login" className="auth-link">Back to login</Link>
+    </div>
+  );
+};
+
+export default ForgotPassword;
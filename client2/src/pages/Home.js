@@ -1,16 +1,24 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { productService } from '../services/api';
+import { productService, categoryService } from '../services/api';
 import '../styles/Home.css';
 
 const Home = () => {
   const [featuredProducts, setFeaturedProducts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [categories, setCategories] = useState([]);
 
   useEffect(() => {
     fetchFeaturedProducts();
   }, []);
 
+  // Top-level categories only; subcategories are reached from the shop
+  useEffect(() => {
+    categoryService.getAll()
+      .then(response => setCategories(response.data.data.filter(category => !category.parent)))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, []);
+
   const fetchFeaturedProducts = async () => {
     try {
       const response = await productService.getFeatured();
@@ -77,13 +85,13 @@ const Home = () => {
       <section className="categories-section">
         <h2>Shop by Category</h2>
         <div className="categories-grid">
-          {['Running', 'Basketball', 'Casual', 'Training'].map(category => (
+          {categories.map(category => (
             <Link 
-              key={category} 
-              to={`/shop?category=${category}`} 
+              key={category._id} 
+              to={`/shop?category=${encodeURIComponent(category.name)}`} 
               className="category-card"
             >
-              <h3>{category}</h3>
+              <h3>{category.name}</h3>
             </Link>
           ))}
         </div>
@@ -1,25 +1,91 @@
 import { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import '../styles/Login.css';
 
 const Login = () => {
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  // Second step: { challengeToken }, or { setupRequired } when an admin
+  // must set up 2FA through the link that was just emailed
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    try {
-      await login(email, password);
+    const result = await login(email, password);
+    if (result.success) {
       navigate('/'); // redirect to home
-    } catch (err) {
+    } else if (result.twoFactor) {
+      setError('');
+      setChallenge(result.twoFactor);
+    } else {
       setError('Invalid credentials');
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    const factor = useBackupCode ? { backupCode: code } : { code };
+    const result = await completeTwoFactorLogin(challenge.challengeToken, factor);
+    if (!result.success) {
+      setError(result.message);
+      setCode('');
+      return;
+    }
+    navigate('/');
+  };
+
+  const restart = () => {
+    setChallenge(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  if (challenge?.setupRequired) {
+    return (
+      <div className="login-page">
+        <h2>Two-Factor Authentication</h2>
+        <p className="notice">
+          Admin accounts must use two-factor authentication. We emailed you a link to set it up;
+          open it to add your authenticator app and finish signing in.
+        </p>
+        <button type="button" className="auth-link link-button" onClick={restart}>Back to login</button>
+      </div>
+    );
+  }
+
+  if (challenge) {
+    return (
+      <div className="login-page">
+        <h2>Two-Factor Authentication</h2>
+        {error && <p className="error">{error}</p>}
+        <form onSubmit={handleTwoFactorSubmit} className="login-form">
+          <label>{useBackupCode ? 'Backup code:' : 'Authentication code:'}</label>
+          <input
+            type="text"
+            inputMode={useBackupCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            autoFocus
+          />
+          <button type="submit">Verify</button>
+        </form>
+        <button type="button" className="auth-link link-button" onClick={() => setUseBackupCode(!useBackupCode)}>
+          {useBackupCode ? 'Use your authenticator app' : 'Use a backup code'}
+        </button>
+        <button type="button" className="auth-link link-button" onClick={restart}>Back to login</button>
+      </div>
+    );
+  }
+
   return (
     <div className="login-page">
       <div className="login-box"></div>
@@ -27,21 +93,22 @@ const Login = () => {
       {error && <p className="error">{error}</p>}
       <form onSubmit={handleSubmit} className="login-form">
         <label>Email:</label>
-        <input 
-          type="email" 
-          value={email} 
-          onChange={(e) => setEmail(e.target.value)} 
-          required 
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
         />
         <label>Password:</label>
-        <input 
-          type="password" 
-          value={password} 
-          onChange={(e) => setPassword(e.target.value)} 
-          required 
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
         />
         <button type="submit">Login</button>
       </form>
+      <Link to="/forgot-password" className="auth-link">Forgot your password?</Link>
     </div>
   );
 };
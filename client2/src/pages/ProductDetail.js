@@ -169,16 +169,20 @@ const ProductDetail = () => {
           <div className="selection-group">
             <label>Size</label>
             <div className="size-options">
-              {getAvailableSizes().map(sizeObj => (
-                <button
-                  key={sizeObj.size}
-                  className={`size-option ${selectedSize === sizeObj.size ? 'selected' : ''} ${sizeObj.stock === 0 ? 'out-of-stock' : ''}`}
-                  onClick={() => setSelectedSize(sizeObj.size)}
-                  disabled={sizeObj.stock === 0}
-                >
-                  {sizeObj.size}
-                </button>
-              ))}
+              {getAvailableSizes().map(sizeObj => {
+                // "available" already subtracts other shoppers' checkout holds
+                const available = sizeObj.available ?? sizeObj.stock;
+                return (
+                  <button
+                    key={sizeObj.size}
+                    className={`size-option ${selectedSize === sizeObj.size ? 'selected' : ''} ${available === 0 ? 'out-of-stock' : ''}`}
+                    onClick={() => setSelectedSize(sizeObj.size)}
+                    disabled={available === 0}
+                  >
+                    {sizeObj.size}
+                  </button>
+                );
+              })}
             </div>
           </div>
 
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { orderService, authService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import { useNavigate } from 'react-router-dom';
 import '../styles/Profile.css';
 
 const Profile = () => {
-  const { user, setUser } = useAuth();
+  const { user, setUser, logoutAll, deleteAccount } = useAuth();
+  const navigate = useNavigate();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [editMode, setEditMode] = useState(false);
@@ -20,6 +22,16 @@ const Profile = () => {
     }
   });
   const [message, setMessage] = useState({ type: '', text: '' });
+  // Open return request form: { orderId, lines: { [lineKey]: { quantity, reason } }, note }
+  const [returnForm, setReturnForm] = useState(null);
+  const [returnError, setReturnError] = useState('');
+  // Change password form (null when closed)
+  const [passwordForm, setPasswordForm] = useState(null);
+  // Two-factor panel: null | { step: 'setup', secret, otpauthUri, code }
+  // | { step: 'codes', backupCodes } | { step: 'disable', password, code }
+  const [twoFactorPanel, setTwoFactorPanel] = useState(null);
+  // Login responses carry twoFactorEnabled, /auth/profile the full document
+  const twoFactorEnabled = Boolean(user?.twoFactorEnabled ?? user?.twoFactor?.enabled);
 
   useEffect(() => {
     fetchOrders();
@@ -79,6 +91,205 @@ const Profile = () => {
     setMessage({ type: '', text: '' });
   };
 
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setMessage({ type: '', text: '' });
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    try {
+      const response = await authService.changePassword({
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword
+      });
+      setPasswordForm(null);
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Error changing password'
+      });
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await authService.resendVerification();
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Error sending verification email'
+      });
+    }
+  };
+
+  const saveTwoFactorFlag = (enabled) => {
+    const updatedUser = { ...user, twoFactorEnabled: enabled, twoFactor: { ...user.twoFactor, enabled } };
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+    setUser(updatedUser);
+  };
+
+  const twoFactorError = (error, fallback) => {
+    setMessage({ type: 'error', text: error.response?.data?.message || fallback });
+  };
+
+  const handleStartTwoFactor = async () => {
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await authService.setupTwoFactor();
+      setTwoFactorPanel({ step: 'setup', ...response.data.data, code: '' });
+    } catch (error) {
+      twoFactorError(error, 'Error starting two-factor setup');
+    }
+  };
+
+  const handleEnableTwoFactor = async (e) => {
+    e.preventDefault();
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await authService.enableTwoFactor(twoFactorPanel.code);
+      saveTwoFactorFlag(true);
+      setTwoFactorPanel({ step: 'codes', backupCodes: response.data.data.backupCodes });
+    } catch (error) {
+      twoFactorError(error, 'Error enabling two-factor authentication');
+    }
+  };
+
+  const handleRegenerateBackupCodes = async () => {
+    const code = window.prompt('Enter a code from your authenticator app');
+    if (!code) return;
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await authService.regenerateBackupCodes(code);
+      setTwoFactorPanel({ step: 'codes', backupCodes: response.data.data.backupCodes });
+    } catch (error) {
+      twoFactorError(error, 'Error generating backup codes');
+    }
+  };
+
+  const handleDisableTwoFactor = async (e) => {
+    e.preventDefault();
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await authService.disableTwoFactor({
+        password: twoFactorPanel.password,
+        code: twoFactorPanel.code
+      });
+      saveTwoFactorFlag(false);
+      setTwoFactorPanel(null);
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      twoFactorError(error, 'Error disabling two-factor authentication');
+    }
+  };
+
+  // Download the JSON archive of everything stored about this account
+  const handleExportData = async () => {
+    try {
+      const response = await authService.exportData();
+      const blob = new Blob([JSON.stringify(response.data.data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'shoestore-my-data.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Error exporting your data' });
+    }
+  };
+
+  const handleDeleteAccount = async () => {
+    if (!window.confirm('Delete your account? Your name and contact details are removed from our records. This cannot be undone.')) return;
+    const password = window.prompt('Enter your password to confirm');
+    if (!password) return;
+    let code;
+    if (twoFactorEnabled) {
+      code = window.prompt('Enter a code from your authenticator app');
+      if (!code) return;
+    }
+
+    const result = await deleteAccount({ password, code });
+    if (result.success) {
+      navigate('/');
+    } else {
+      setMessage({ type: 'error', text: result.message });
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+    await logoutAll();
+    navigate('/login');
+  };
+
+  const lineKey = (item) => `${item.product?._id || item.product}|${item.color}|${item.size}`;
+
+  // Units of an order line not already in a (non-rejected) return
+  const getReturnableQuantity = (order, item) => {
+    const key = lineKey(item);
+    const returned = (order.returns || [])
+      .filter(rma => rma.status !== 'Rejected')
+      .flatMap(rma => rma.items)
+      .filter(returnItem => lineKey(returnItem) === key)
+      .reduce((sum, returnItem) => sum + returnItem.quantity, 0);
+    return item.quantity - returned;
+  };
+
+  const openReturnForm = (order) => {
+    setReturnError('');
+    setReturnForm({ orderId: order._id, lines: {}, note: '' });
+  };
+
+  const updateReturnLine = (item, field, value) => {
+    const key = lineKey(item);
+    setReturnForm(prev => ({
+      ...prev,
+      lines: {
+        ...prev.lines,
+        [key]: { quantity: 0, reason: '', ...prev.lines[key], [field]: value }
+      }
+    }));
+  };
+
+  const handleSubmitReturn = async (e, order) => {
+    e.preventDefault();
+    setReturnError('');
+
+    const items = order.items
+      .filter(item => Number(returnForm.lines[lineKey(item)]?.quantity) > 0)
+      .map(item => ({
+        product: item.product?._id || item.product,
+        color: item.color,
+        size: item.size,
+        quantity: Number(returnForm.lines[lineKey(item)].quantity),
+        reason: returnForm.lines[lineKey(item)].reason
+      }));
+
+    if (items.length === 0) {
+      setReturnError('Choose at least one item to return');
+      return;
+    }
+    if (items.some(item => !item.reason?.trim())) {
+      setReturnError('Please give a reason for every item you return');
+      return;
+    }
+
+    try {
+      await orderService.requestReturn(order._id, { items, note: returnForm.note });
+      setReturnForm(null);
+      fetchOrders();
+    } catch (error) {
+      console.error('Error requesting return:', error);
+      setReturnError(error.response?.data?.message || 'Error requesting return');
+    }
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       'Pending': 'orange',
@@ -236,7 +447,16 @@ const Profile = () => {
               </div>
               <div className="info-row">
                 <strong>Email:</strong>
-                <span>{user.email}</span>
+                <span>
+                  {user.email}{' '}
+                  {user.emailVerified ? (
+                    <span className="verified-badge">✓ Verified</span>
+                  ) : (
+                    <button type="button" className="link-btn" onClick={handleResendVerification}>
+                      Not verified — resend link
+                    </button>
+                  )}
+                </span>
               </div>
               <div className="info-row">
                 <strong>Phone Number:</strong>
@@ -264,6 +484,167 @@ const Profile = () => {
                   </div>
                 </>
               )}
+
+              <div className="info-divider"></div>
+              {passwordForm ? (
+                <form onSubmit={handleChangePassword} className="edit-form password-form">
+                  <h3 className="form-section-title">Change Password</h3>
+                  <div className="form-group">
+                    <label>Current Password</label>
+                    <input
+                      type="password"
+                      value={passwordForm.currentPassword}
+                      onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>New Password</label>
+                      <input
+                        type="password"
+                        value={passwordForm.newPassword}
+                        onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+                        minLength={6}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Confirm New Password</label>
+                      <input
+                        type="password"
+                        value={passwordForm.confirmPassword}
+                        onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+                        minLength={6}
+                        required
+                      />
+                    </div>
+                  </div>
+                  <div className="form-actions">
+                    <button type="submit" className="save-btn">💾 Update Password</button>
+                    <button type="button" className="cancel-btn" onClick={() => setPasswordForm(null)}>
+                      ❌ Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="security-actions">
+                  <button
+                    type="button"
+                    className="edit-btn"
+                    onClick={() => setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' })}
+                  >
+                    🔑 Change Password
+                  </button>
+                  <button type="button" className="logout-all-btn" onClick={handleLogoutAll}>
+                    🔒 Log out of all devices
+                  </button>
+                </div>
+              )}
+
+              <div className="info-divider"></div>
+              <div className="two-factor">
+                <h3 className="form-section-title">Two-Factor Authentication</h3>
+                {twoFactorPanel?.step === 'setup' ? (
+                  <form onSubmit={handleEnableTwoFactor} className="edit-form two-factor-form">
+                    <p>Add this account to your authenticator app, then enter the 6-digit code it shows.</p>
+                    <a href={twoFactorPanel.otpauthUri}>Open in authenticator app</a>
+                    <code className="totp-secret">{twoFactorPanel.secret}</code>
+                    <div className="form-group">
+                      <label>Authentication Code</label>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        value={twoFactorPanel.code}
+                        onChange={(e) => setTwoFactorPanel({ ...twoFactorPanel, code: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className="form-actions">
+                      <button type="submit" className="save-btn">✅ Enable</button>
+                      <button type="button" className="cancel-btn" onClick={() => setTwoFactorPanel(null)}>
+                        ❌ Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : twoFactorPanel?.step === 'codes' ? (
+                  <div className="two-factor-form">
+                    <p>Save these backup codes. Each one signs you in once; they will not be shown again.</p>
+                    <ul className="backup-codes">
+                      {twoFactorPanel.backupCodes.map((code) => <li key={code}>{code}</li>)}
+                    </ul>
+                    <button type="button" className="edit-btn" onClick={() => setTwoFactorPanel(null)}>
+                      I saved my codes
+                    </button>
+                  </div>
+                ) : twoFactorPanel?.step === 'disable' ? (
+                  <form onSubmit={handleDisableTwoFactor} className="edit-form two-factor-form">
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Password</label>
+                        <input
+                          type="password"
+                          value={twoFactorPanel.password}
+                          onChange={(e) => setTwoFactorPanel({ ...twoFactorPanel, password: e.target.value })}
+                          required
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Authentication Code</label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          autoComplete="one-time-code"
+                          value={twoFactorPanel.code}
+                          onChange={(e) => setTwoFactorPanel({ ...twoFactorPanel, code: e.target.value })}
+                          required
+                        />
+                      </div>
+                    </div>
+                    <div className="form-actions">
+                      <button type="submit" className="logout-all-btn">Turn off</button>
+                      <button type="button" className="cancel-btn" onClick={() => setTwoFactorPanel(null)}>
+                        ❌ Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : twoFactorEnabled ? (
+                  <div className="security-actions">
+                    <span className="verified-badge">✓ Enabled</span>
+                    <button type="button" className="edit-btn" onClick={handleRegenerateBackupCodes}>
+                      New backup codes
+                    </button>
+                    <button
+                      type="button"
+                      className="logout-all-btn"
+                      onClick={() => setTwoFactorPanel({ step: 'disable', password: '', code: '' })}
+                    >
+                      Turn off
+                    </button>
+                  </div>
+                ) : (
+                  <div className="security-actions">
+                    <span className="muted">Protect your account with a code from an authenticator app.</span>
+                    <button type="button" className="edit-btn" onClick={handleStartTwoFactor}>
+                      🛡️ Set up
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <div className="info-divider"></div>
+              <h3 className="form-section-title">Your Data</h3>
+              <div className="security-actions">
+                <button type="button" className="edit-btn" onClick={handleExportData}>
+                  📥 Download my data
+                </button>
+                {user.role === 'user' && (
+                  <button type="button" className="logout-all-btn" onClick={handleDeleteAccount}>
+                    🗑️ Delete my account
+                  </button>
+                )}
+              </div>
             </div>
           )}
         </section>
@@ -317,7 +698,84 @@ const Profile = () => {
                     {order.trackingNumber && (
                       <p>Tracking: {order.trackingNumber}</p>
                     )}
+                    {order.canBeReturned && returnForm?.orderId !== order._id && (
+                      <button className="return-btn" onClick={() => openReturnForm(order)}>
+                        ↩️ Request Return
+                      </button>
+                    )}
                   </div>
+
+                  {/* Return requests */}
+                  {(order.returns || []).length > 0 && (
+                    <div className="order-returns">
+                      <h4>Returns</h4>
+                      {order.returns.map(rma => (
+                        <div key={rma._id} className="return-row">
+                          <div>
+                            {rma.items.map((item, idx) => (
+                              <p key={idx}>
+                                {item.productName} • {item.color} • Size {item.size} • Qty: {item.quantity}
+                                <span className="return-reason"> — {item.reason}</span>
+                              </p>
+                            ))}
+                            {rma.adminNote && <p className="return-note">Note: {rma.adminNote}</p>}
+                          </div>
+                          <div className="return-status">
+                            <span className={`return-badge ${rma.status.toLowerCase()}`}>{rma.status}</span>
+                            {rma.status === 'Refunded' && (
+                              <small>${rma.refundAmount.toFixed(2)} refunded</small>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Return request form */}
+                  {returnForm?.orderId === order._id && (
+                    <form className="return-form" onSubmit={(e) => handleSubmitReturn(e, order)}>
+                      <h4>Request a return</h4>
+                      {returnError && <div className="message error">{returnError}</div>}
+                      {order.items.map((item) => {
+                        const returnable = getReturnableQuantity(order, item);
+                        const line = returnForm.lines[lineKey(item)] || { quantity: 0, reason: '' };
+                        return (
+                          <div key={lineKey(item)} className="return-line">
+                            <span>{item.productName} • {item.color} • Size {item.size}</span>
+                            <select
+                              value={line.quantity}
+                              onChange={(e) => updateReturnLine(item, 'quantity', e.target.value)}
+                              disabled={returnable <= 0}
+                            >
+                              {Array.from({ length: Math.max(0, returnable) + 1 }, (_, qty) => (
+                                <option key={qty} value={qty}>{qty}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="text"
+                              placeholder="Reason (e.g. too small)"
+                              value={line.reason}
+                              onChange={(e) => updateReturnLine(item, 'reason', e.target.value)}
+                              disabled={Number(line.quantity) === 0}
+                              maxLength={300}
+                            />
+                          </div>
+                        );
+                      })}
+                      <textarea
+                        placeholder="Anything else we should know? (optional)"
+                        value={returnForm.note}
+                        onChange={(e) => setReturnForm({ ...returnForm, note: e.target.value })}
+                        maxLength={500}
+                      />
+                      <div className="form-actions">
+                        <button type="submit" className="save-btn">Submit Return</button>
+                        <button type="button" className="cancel-btn" onClick={() => setReturnForm(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
                 </div>
               ))}
             </div>
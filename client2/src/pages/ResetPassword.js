@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import '../styles/Login.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      await authService.resetPassword(token, password);
+      navigate('/login');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset password');
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="login-page">
+        <h2>Reset Password</h2>
+        <p className="error">This reset link is incomplete.</p>
+        <Link to="/forgot-password" className="auth-link">Request a new link</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-page">
+      <h2>Reset Password</h2>
+      {error && <p className="error">{error}</p>}
+      <form onSubmit={handleSubmit} className="login-form">
+        <label>New password:</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={6}
+          required
+        />
+        <label>Confirm new password:</label>
+        <input
+          type="password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          minLength={6}
+          required
+        />
+        <button type="submit">Set New Password</button>
+      </form>
+      <Link to="/forgot-password" className="auth-link">Request a new link</Link>
+    </div>
+  );
+};
+
+export default ResetPassword;
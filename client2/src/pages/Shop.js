@@ -1,64 +1,178 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
-import { productService } from '../services/api';
+import { productService, brandService, categoryService } from '../services/api';
 import '../styles/Shop.css';
 
+const GENDERS = ['Men', 'Women', 'Unisex', 'Kids'];
+const SIZES = ['5', '6', '7', '8', '9', '10', '11', '12', '13', '14'];
+
+// Server sort modes; relevance only applies to a text search
+const SORTS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' },
+  { value: 'best_selling', label: 'Best Selling' },
+  { value: 'top_rated', label: 'Top Rated' }
+];
+
+const priceBandLabel = (band) => (band.max === null ? `$${band.min}+` : `$${band.min} – $${band.max}`);
+
 const Shop = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [brands, setBrands] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const sentinelRef = useRef(null);
+  // Bumped for every new listing, so a late page of the previous one is dropped
+  const listingRef = useRef(0);
   const [filters, setFilters] = useState({
     search: searchParams.get('search') || '',
-    brand: searchParams.get('brand') || '',
-    category: searchParams.get('category') || '',
     minPrice: searchParams.get('minPrice') || '',
-    maxPrice: searchParams.get('maxPrice') || '',
-    gender: searchParams.get('gender') || '',
-    sortBy: searchParams.get('sortBy') || 'createdAt',
-    order: searchParams.get('order') || 'desc'
+    maxPrice: searchParams.get('maxPrice') || ''
   });
 
   useEffect(() => {
     fetchProducts();
   }, [searchParams]);
 
+  // The navbar search box can change the search while the shop is open
+  useEffect(() => {
+    setFilters(prev => ({ ...prev, search: searchParams.get('search') || '' }));
+  }, [searchParams]);
+
+  // Filter options come from the brand and category collections
+  useEffect(() => {
+    Promise.all([brandService.getAll(), categoryService.getAll()])
+      .then(([brandResponse, categoryResponse]) => {
+        setBrands(brandResponse.data.data);
+        setCategories(categoryResponse.data.data);
+      })
+      .catch(error => console.error('Error fetching brands and categories:', error));
+  }, []);
+
+  // Infinite scroll: the next page loads as the end of the grid comes into view.
+  // A failed page watches the sentinel again after a pause, so scrolling
+  // retries it (nextCursor is unchanged, so this effect would not re-run).
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return undefined;
+
+    const listing = listingRef.current;
+    let active = true;
+    let retryTimer;
+    const observer = new IntersectionObserver(async (entries) => {
+      if (!entries[0].isIntersecting) return;
+      observer.disconnect();
+      setLoadingMore(true);
+      try {
+        const params = { ...Object.fromEntries(searchParams), cursor: nextCursor };
+        const response = await productService.getAll(params);
+        if (listing !== listingRef.current) return;
+        setProducts(prev => [...prev, ...response.data.data]);
+        setNextCursor(response.data.nextCursor);
+      } catch (error) {
+        console.error('Error loading more products:', error);
+        if (active) {
+          retryTimer = setTimeout(() => observer.observe(sentinel), 3000);
+        }
+      } finally {
+        setLoadingMore(false);
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => {
+      active = false;
+      clearTimeout(retryTimer);
+      observer.disconnect();
+    };
+  }, [nextCursor, searchParams]);
+
+  // First page (with facet counts and the total) for the current filters
   const fetchProducts = async () => {
+    const listing = ++listingRef.current;
     setLoading(true);
     try {
       const params = Object.fromEntries(searchParams);
-      const response = await productService.getAll(params);
+      const response = await productService.getAll({ ...params, facets: true });
+      if (listing !== listingRef.current) return;
       setProducts(response.data.data);
+      setTotal(response.data.total);
+      setNextCursor(response.data.nextCursor);
+      setFacets(response.data.facets);
     } catch (error) {
       console.error('Error fetching products:', error);
     } finally {
-      setLoading(false);
+      if (listing === listingRef.current) setLoading(false);
     }
   };
 
-  const handleFilterChange = (name, value) => {
-    const newFilters = { ...filters, [name]: value };
-    setFilters(newFilters);
-    
-    // Update URL params
-    const params = {};
-    Object.keys(newFilters).forEach(key => {
-      if (newFilters[key]) {
-        params[key] = newFilters[key];
-      }
-    });
+  // Update one URL param (empty removes it); the other filters stay
+  const setParam = (name, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) {
+      params.set(name, value);
+    } else {
+      params.delete(name);
+    }
     setSearchParams(params);
   };
 
+  const handleFilterChange = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setParam(name, value);
+  };
+
+  // Multi-select filters are kept comma-separated in the URL
+  const selected = (name) => (searchParams.get(name) || '').split(',').filter(Boolean);
+
+  // Tick / untick one value of a multi-select filter
+  const toggleFilter = (name, value) => {
+    const current = selected(name);
+    const next = current.includes(value)
+      ? current.filter(entry => entry !== value)
+      : [...current, value];
+    setParam(name, next.join(','));
+  };
+
+  // Facet count for a value (0 when nothing matches with the other filters)
+  const countOf = (facet, value) =>
+    facets?.[facet]?.find(bucket => bucket.value === value)?.count ?? 0;
+
+  // Facet values plus any selected value that no longer has matches
+  const facetValues = (facet) => {
+    const values = (facets?.[facet] || []).map(bucket => bucket.value);
+    return [...values, ...selected(facet).filter(value => !values.includes(value))];
+  };
+
+  const renderCheckbox = (name, value, label = value) => {
+    const checked = selected(name).includes(value);
+    const count = countOf(name === 'priceBand' ? 'price' : name, value);
+    return (
+      <label key={value} className={`facet-option${!count && !checked ? ' empty' : ''}`}>
+        <input
+          type="checkbox"
+          checked={checked}
+          disabled={!count && !checked}
+          onChange={() => toggleFilter(name, value)}
+        />
+        <span className="facet-label">{label}</span>
+        <span className="facet-count">{count}</span>
+      </label>
+    );
+  };
+
   const clearFilters = () => {
     setFilters({
       search: '',
-      brand: '',
-      category: '',
       minPrice: '',
-      maxPrice: '',
-      gender: '',
-      sortBy: 'createdAt',
-      order: 'desc'
+      maxPrice: ''
     });
     setSearchParams({});
   };
@@ -86,61 +200,108 @@ const Shop = () => {
             />
           </div>
 
-          {/* Brand Filter */}
+          {/* Category Filter (subcategories indented) */}
           <div className="filter-group">
-            <label>Brand</label>
-            <select
-              value={filters.brand}
-              onChange={(e) => handleFilterChange('brand', e.target.value)}
-            >
-              <option value="">All Brands</option>
-              <option value="Nike">Nike</option>
-              <option value="Adidas">Adidas</option>
-              <option value="Puma">Puma</option>
-              <option value="Reebok">Reebok</option>
-              <option value="New Balance">New Balance</option>
-              <option value="Converse">Converse</option>
-              <option value="Vans">Vans</option>
-              <option value="Under Armour">Under Armour</option>
-            </select>
+            <label>Category</label>
+            {categories.map(category => (
+              <div key={category._id} style={{ paddingLeft: category.depth * 14 }}>
+                {renderCheckbox('category', category.name)}
+              </div>
+            ))}
           </div>
 
-          {/* Category Filter */}
+          {/* Brand Filter */}
           <div className="filter-group">
-            <label>Category</label>
-            <select
-              value={filters.category}
-              onChange={(e) => handleFilterChange('category', e.target.value)}
-            >
-              <option value="">All Categories</option>
-              <option value="Running">Running</option>
-              <option value="Basketball">Basketball</option>
-              <option value="Casual">Casual</option>
-              <option value="Training">Training</option>
-              <option value="Soccer">Soccer</option>
-              <option value="Tennis">Tennis</option>
-              <option value="Walking">Walking</option>
-            </select>
+            <label>Brand</label>
+            {brands.map(brand => renderCheckbox('brand', brand.name))}
           </div>
 
           {/* Gender Filter */}
           <div className="filter-group">
             <label>Gender</label>
-            <select
-              value={filters.gender}
-              onChange={(e) => handleFilterChange('gender', e.target.value)}
-            >
-              <option value="">All</option>
-              <option value="Men">Men</option>
-              <option value="Women">Women</option>
-              <option value="Unisex">Unisex</option>
-              <option value="Kids">Kids</option>
-            </select>
+            {GENDERS.map(gender => renderCheckbox('gender', gender))}
+          </div>
+
+          {/* Color Filter */}
+          <div className="filter-group">
+            <label>Color</label>
+            {facetValues('color').map(color => renderCheckbox('color', color, (
+              <>
+                <span
+                  className="facet-swatch"
+                  style={{ background: facets?.color?.find(bucket => bucket.value === color)?.hexCode }}
+                />
+                {color}
+              </>
+            )))}
+          </div>
+
+          {/* Size Filter: sizes in stock (in the selected colors) */}
+          <div className="filter-group">
+            <label>Size</label>
+            <div className="size-chips">
+              {SIZES.map(size => {
+                const checked = selected('size').includes(size);
+                const count = countOf('size', size);
+                return (
+                  <button
+                    key={size}
+                    type="button"
+                    className={`size-chip${checked ? ' active' : ''}`}
+                    disabled={!count && !checked}
+                    title={`${count} in stock`}
+                    onClick={() => toggleFilter('size', size)}
+                  >
+                    {size}
+                  </button>
+                );
+              })}
+            </div>
+            <label className="facet-option">
+              <input
+                type="checkbox"
+                checked={searchParams.get('inStockOnly') === 'true'}
+                onChange={(e) => setParam('inStockOnly', e.target.checked ? 'true' : '')}
+              />
+              <span className="facet-label">In stock only</span>
+            </label>
+          </div>
+
+          {/* Price Bands */}
+          <div className="filter-group">
+            <label>Price</label>
+            {(facets?.price || []).map(band => renderCheckbox('priceBand', band.value, priceBandLabel(band)))}
+          </div>
+
+          {/* Rating (one band at a time) */}
+          <div className="filter-group">
+            <label>Rating</label>
+            {(facets?.rating || []).map(band => {
+              const checked = searchParams.get('minRating') === String(band.value);
+              return (
+                <label key={band.value} className={`facet-option${!band.count && !checked ? ' empty' : ''}`}>
+                  <input
+                    type="radio"
+                    name="minRating"
+                    checked={checked}
+                    disabled={!band.count && !checked}
+                    onChange={() => setParam('minRating', String(band.value))}
+                  />
+                  <span className="facet-label">{'⭐'.repeat(band.value)} & up</span>
+                  <span className="facet-count">{band.count}</span>
+                </label>
+              );
+            })}
+            {searchParams.get('minRating') && (
+              <button type="button" className="clear-btn" onClick={() => setParam('minRating', '')}>
+                Any rating
+              </button>
+            )}
           </div>
 
           {/* Price Range */}
           <div className="filter-group">
-            <label>Price Range</label>
+            <label>Custom Price Range</label>
             <div className="price-inputs">
               <input
                 type="number"
@@ -162,21 +323,14 @@ const Shop = () => {
           <div className="filter-group">
             <label>Sort By</label>
             <select
-              value={filters.sortBy}
-              onChange={(e) => handleFilterChange('sortBy', e.target.value)}
-            >
-              <option value="createdAt">Newest</option>
-              <option value="price">Price</option>
-              <option value="averageRating">Rating</option>
-              <option value="soldCount">Popularity</option>
-              <option value="name">Name</option>
-            </select>
-            <select
-              value={filters.order}
-              onChange={(e) => handleFilterChange('order', e.target.value)}
+              value={searchParams.get('sort') || (searchParams.get('search') ? 'relevance' : 'newest')}
+              onChange={(e) => setParam('sort', e.target.value)}
             >
-              <option value="asc">Ascending</option>
-              <option value="desc">Descending</option>
+              {SORTS
+                .filter(sort => sort.value !== 'relevance' || searchParams.get('search'))
+                .map(sort => (
+                  <option key={sort.value} value={sort.value}>{sort.label}</option>
+                ))}
             </select>
           </div>
         </aside>
@@ -193,7 +347,7 @@ const Shop = () => {
           ) : (
             <>
               <div className="products-count">
-                Showing {products.length} products
+                Showing {products.length} of {total} products
               </div>
               
               <div className="products-grid">
@@ -225,6 +379,14 @@ const Shop = () => {
                   </div>
                 ))}
               </div>
+
+              {nextCursor ? (
+                <div ref={sentinelRef} className="scroll-sentinel">
+                  {loadingMore && 'Loading more products...'}
+                </div>
+              ) : (
+                <div className="scroll-sentinel">That's all {products.length} products</div>
+              )}
             </>
           )}
         </main>
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services/api';
+import '../styles/Login.css';
+
+// Admin 2FA setup from the link emailed at login (REQUIRE_ADMIN_2FA)
+const TwoFactorSetup = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { completeTwoFactorSetup } = useAuth();
+  const token = searchParams.get('token');
+  // { secret, otpauthUri } once the link is accepted
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  // Shown once after the first code is accepted
+  const [backupCodes, setBackupCodes] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+
+    authService.loginTwoFactorSetup(token)
+      .then((response) => setSetup(response.data.data))
+      .catch((err) => setError(err.response?.data?.message || 'Could not start two-factor setup'));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const result = await completeTwoFactorSetup(token, code);
+    if (!result.success) {
+      setError(result.message);
+      setCode('');
+      return;
+    }
+    setBackupCodes(result.backupCodes);
+  };
+
+  if (backupCodes) {
+    return (
+      <div className="login-page">
+        <h2>Backup Codes</h2>
+        <div className="login-form">
+          <p>Two-factor authentication is on. Each code below signs you in once if you lose your authenticator. They will not be shown again.</p>
+          <ul className="backup-codes">
+            {backupCodes.map((backupCode) => <li key={backupCode}>{backupCode}</li>)}
+          </ul>
+          <button type="button" onClick={() => navigate('/')}>I saved my codes</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!token || !setup) {
+    return (
+      <div className="login-page">
+        <h2>Two-Factor Authentication</h2>
+        {!token && <p className="error">This setup link is incomplete.</p>}
+        {token && <p className={error ? 'error' : 'notice'}>{error || 'Checking your setup link...'}</p>}
+        <Link to="/login" className="auth-link">Back to login</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-page">
+      <h2>Two-Factor Authentication</h2>
+      {error && <p className="error">{error}</p>}
+      <form onSubmit={handleSubmit} className="login-form">
+        <div className="totp-setup">
+          <p>Admin accounts must use two-factor authentication. Add this account to your authenticator app:</p>
+          <a href={setup.otpauthUri}>Open in authenticator app</a>
+          <p>or enter the key manually:</p>
+          <code className="totp-secret">{setup.secret}</code>
+        </div>
+        <label>Authentication code:</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          required
+          autoFocus
+        />
+        <button type="submit">Verify</button>
+      </form>
+      <Link to="/login" className="auth-link">Back to login</Link>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import '../styles/Login.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState({ type: 'pending', text: 'Verifying your email...' });
+
+  useEffect(() => {
+    if (!token) {
+      setStatus({ type: 'error', text: 'This verification link is incomplete.' });
+      return;
+    }
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        // Keep the stored user in sync if this browser is logged in
+        const savedUser = JSON.parse(localStorage.getItem('user') || 'null');
+        if (savedUser) {
+          localStorage.setItem('user', JSON.stringify({ ...savedUser, emailVerified: true }));
+        }
+        setStatus({ type: 'success', text: response.data.message });
+      })
+      .catch((err) => setStatus({
+        type: 'error',
+        text: err.response?.data?.message || 'Could not verify email'
+      }));
+  }, [token]);
+
+  return (
+    <div className="login-page">
+      <h2>Email Verification</h2>
+      <p className={status.type === 'error' ? 'error' : 'notice'}>{status.text}</p>
+      <Link to="/" className="auth-link">Continue shopping</Link>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -25,14 +25,59 @@ api.interceptors.request.use(
   }
 );
 
+// Clear the stored session and send the user to the login page
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// One refresh at a time: requests that fail together wait for the same call
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    // Plain axios so this call does not go through the interceptors
+    refreshRequest = axios
+      .post(`${API_URL}/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+      .then((response) => {
+        const { token, refreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Handle response errors
+// 401: refresh the access token silently and retry the request once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+    const isAuthCall = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/password', '/auth/2fa']
+      .some((path) => config?.url?.startsWith(path));
+
+    if (response?.status === 401 && config && !config._retry && !isAuthCall) {
+      if (!localStorage.getItem('refreshToken')) {
+        endSession();
+        return Promise.reject(error);
+      }
+
+      config._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        endSession();
+        return Promise.reject(refreshError);
+      }
     }
     return Promise.reject(error);
   }
@@ -42,15 +87,40 @@ api.interceptors.response.use(
 export const authService = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (challengeToken, factor) => api.post('/auth/login/2fa', { challengeToken, ...factor }),
+  loginTwoFactorSetup: (token) => api.post('/auth/login/2fa/setup', { token }),
+  loginTwoFactorEnable: (token, code) => api.post('/auth/login/2fa/enable', { token, code }),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  changePassword: (passwordData) => api.put('/auth/password', passwordData),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
   getProfile: () => api.get('/auth/me'),
+  exportData: () => api.get('/auth/me/export'),
+  deleteAccount: (confirmation) => api.delete('/auth/me', { data: confirmation }),
   updateProfile: (userData) => api.put('/auth/profile', userData)
 };
 
+// ADDRESS BOOK SERVICES
+export const addressService = {
+  getAll: () => api.get('/auth/addresses'),
+  create: (addressData) => api.post('/auth/addresses', addressData),
+  update: (id, addressData) => api.patch(`/auth/addresses/${id}`, addressData),
+  delete: (id) => api.delete(`/auth/addresses/${id}`)
+};
+
 // PRODUCT SERVICES
 export const productService = {
   getAll: (params) => api.get('/products', { params }),
   getById: (id) => api.get(`/products/${id}`),
   getFeatured: () => api.get('/products/featured'),
+  suggest: (q) => api.get('/products/suggest', { params: { q } }),
   create: (productData) => api.post('/products', productData),
   update: (id, productData) => api.patch(`/products/${id}`, productData),
   updateStock: (id, stockData) => api.patch(`/products/${id}/stock`, stockData),
@@ -58,14 +128,84 @@ export const productService = {
   addReview: (id, reviewData) => api.post(`/products/${id}/reviews`, reviewData)
 };
 
+// BRAND AND CATEGORY SERVICES (catalog taxonomy)
+export const brandService = {
+  getAll: (params) => api.get('/brands', { params }),
+  getBySlug: (slug) => api.get(`/brands/${slug}`),
+  create: (brandData) => api.post('/brands', brandData),
+  update: (id, brandData) => api.patch(`/brands/${id}`, brandData),
+  delete: (id) => api.delete(`/brands/${id}`)
+};
+
+export const categoryService = {
+  getAll: (params) => api.get('/categories', { params }),
+  getBySlug: (slug) => api.get(`/categories/${slug}`),
+  create: (categoryData) => api.post('/categories', categoryData),
+  update: (id, categoryData) => api.patch(`/categories/${id}`, categoryData),
+  delete: (id) => api.delete(`/categories/${id}`)
+};
+
 // ORDER SERVICES
 export const orderService = {
   create: (orderData) => api.post('/orders', orderData),
+  quote: (orderData) => api.post('/orders/quote', orderData),
   getMyOrders: () => api.get('/orders/me'),
   getById: (id) => api.get(`/orders/${id}`),
   getAll: (params) => api.get('/orders', { params }),
   updateStatus: (id, statusData) => api.patch(`/orders/${id}/status`, statusData),
-  cancel: (id) => api.delete(`/orders/${id}`)
+  cancel: (id) => api.delete(`/orders/${id}`),
+  requestReturn: (id, returnData) => api.post(`/orders/${id}/returns`, returnData)
+};
+
+// RETURN SERVICES (admin RMA workflow)
+const returnPath = (orderId, returnId) => `/orders/${orderId}/returns/${returnId}`;
+
+export const returnService = {
+  getAll: (params) => api.get('/orders/returns', { params }),
+  approve: (orderId, returnId, note) => api.patch(`${returnPath(orderId, returnId)}/approve`, { note }),
+  reject: (orderId, returnId, note) => api.patch(`${returnPath(orderId, returnId)}/reject`, { note }),
+  receive: (orderId, returnId, note) => api.patch(`${returnPath(orderId, returnId)}/receive`, { note }),
+  refund: (orderId, returnId, refundData) => api.post(`${returnPath(orderId, returnId)}/refund`, refundData)
+};
+
+// CART SERVICES (server-side cart for logged-in users)
+const cartItemPath = (productId, color, size) =>
+  `/cart/items/${productId}/${encodeURIComponent(color)}/${encodeURIComponent(size)}`;
+
+export const cartService = {
+  get: () => api.get('/cart'),
+  addItem: (itemData) => api.post('/cart/items', itemData),
+  updateItem: (productId, color, size, quantity) =>
+    api.patch(cartItemPath(productId, color, size), { quantity }),
+  removeItem: (productId, color, size) => api.delete(cartItemPath(productId, color, size)),
+  clear: () => api.delete('/cart'),
+  merge: (items) => api.post('/cart/merge', { items }),
+  applyCoupon: (code) => api.post('/cart/apply-coupon', { code })
+};
+
+// SHIPPING SERVICES
+export const shippingService = {
+  quote: (quoteData) => api.post('/shipping/quote', quoteData)
+};
+
+// RESERVATION SERVICES (checkout stock holds)
+export const reservationService = {
+  hold: (items) => api.post('/reservations', { items }),
+  getMine: () => api.get('/reservations/me'),
+  release: () => api.delete('/reservations')
+};
+
+// USER SERVICES (admin user management)
+export const userService = {
+  getAll: (params) => api.get('/users', { params }),
+  getById: (id) => api.get(`/users/${id}`),
+  update: (id, userData) => api.patch(`/users/${id}`, userData),
+  unlock: (id) => api.patch(`/users/${id}/unlock`)
+};
+
+// AUDIT SERVICES (admin activity log, read-only)
+export const auditService = {
+  getAll: (params) => api.get('/audit', { params })
 };
 
 // ANALYTICS SERVICES
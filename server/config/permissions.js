@@ -0,0 +1,71 @@
+// Role -> capability table
+// Routes ask for a capability (middleware/auth.requirePermission), never for
+// a role, so a new staff role is one entry here.
+//
+// Capabilities:
+//   admin:access     open the admin dashboard
+//   products:write   create, edit and delete products
+//   stock:write      adjust variant stock
+//   inventory:read   inventory report
+//   orders:read      list and view any order
+//   orders:ship      move orders through Processing / Shipped / Delivered
+//   orders:cancel    cancel any order (restocks, voids/refunds payment)
+//   orders:refund    refund and void payments, refund returns
+//   payments:capture capture authorized payments by hand
+//   returns:review   approve or reject return requests
+//   returns:receive  receive returned goods (restock)
+//   coupons:write    manage coupons
+//   users:manage     list, deactivate, promote and unlock users
+//   stats:read       revenue, sales and customer analytics
+//   audit:read       browse the audit log of admin changes
+const ROLE_PERMISSIONS = {
+  user: [],
+  warehouse: [
+    'admin:access',
+    'stock:write',
+    'inventory:read',
+    'orders:read',
+    'orders:ship',
+    'returns:receive'
+  ],
+  support: [
+    'admin:access',
+    'orders:read',
+    'orders:cancel',
+    'orders:refund',
+    'returns:review'
+  ],
+  admin: [
+    'admin:access',
+    'products:write',
+    'stock:write',
+    'inventory:read',
+    'orders:read',
+    'orders:ship',
+    'orders:cancel',
+    'orders:refund',
+    'payments:capture',
+    'returns:review',
+    'returns:receive',
+    'coupons:write',
+    'users:manage',
+    'stats:read',
+    'audit:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Capabilities of a role (empty for unknown roles)
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Check if a role has every one of the given capabilities
+const hasPermission = (role, ...permissions) =>
+  permissions.every(permission => getPermissions(role).includes(permission));
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission
+};
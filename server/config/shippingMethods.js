@@ -0,0 +1,54 @@
+// Shipping methods and destination zones
+// Zones are matched by shippingAddress.country, then .state.
+// Each method prices a shipment as:
+//   base + perItem * items + perKg * weightKg   (times the zone multiplier)
+// and may be free above freeOver (subtotal after discount, domestic only).
+// Delivery estimates are business days per zone.
+const shippingConfig = {
+  // Weight used for every pair of shoes (products have no weight field)
+  defaultItemWeightKg: 1.2,
+
+  zones: {
+    domestic: { name: 'Contiguous US', multiplier: 1 },
+    remote: { name: 'Alaska, Hawaii & territories', multiplier: 1.8 },
+    international: { name: 'International', multiplier: 3 }
+  },
+
+  // USA states that fall in the remote zone
+  remoteStates: ['AK', 'HI', 'PR', 'GU', 'VI', 'AS', 'MP'],
+
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard',
+      base: 10,
+      perItem: 0,
+      perKg: 0,
+      freeOver: 100,
+      deliveryDays: { domestic: [5, 7], remote: [8, 12], international: [10, 20] }
+    },
+    {
+      code: 'express',
+      name: 'Express',
+      base: 15,
+      perItem: 2,
+      perKg: 1.5,
+      freeOver: null,
+      deliveryDays: { domestic: [2, 3], remote: [4, 6], international: [5, 8] }
+    },
+    {
+      code: 'next-day',
+      name: 'Next Day',
+      base: 30,
+      perItem: 3,
+      perKg: 2.5,
+      freeOver: null,
+      // Not offered outside the contiguous US
+      deliveryDays: { domestic: [1, 1] }
+    }
+  ],
+
+  defaultMethod: 'standard'
+};
+
+module.exports = shippingConfig;
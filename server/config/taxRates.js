@@ -0,0 +1,49 @@
+// Tax rate table
+// Rates are looked up by shippingAddress.country, then .state.
+// Each rule: { rate, exemptCategories } - exemptCategories lists product
+// categories that are not taxed there ('*' = every category).
+// Override the whole table with TAX_RATES_FILE=/path/to/rates.json
+const fs = require('fs');
+
+const defaultTaxRates = {
+  // Used when the country is not in the table
+  default: { rate: 0, exemptCategories: [] },
+
+  countries: {
+    USA: {
+      // Used when the state is not in the table
+      default: { rate: 0.08, exemptCategories: [] },
+      states: {
+        CA: { rate: 0.0725, exemptCategories: [] },
+        NY: { rate: 0.04, exemptCategories: [] },
+        TX: { rate: 0.0625, exemptCategories: [] },
+        FL: { rate: 0.06, exemptCategories: [] },
+        WA: { rate: 0.065, exemptCategories: [] },
+        // Footwear is exempt from sales tax in these states
+        PA: { rate: 0.06, exemptCategories: ['*'] },
+        NJ: { rate: 0.06625, exemptCategories: ['*'] },
+        MN: { rate: 0.06875, exemptCategories: ['*'] },
+        // No statewide sales tax
+        OR: { rate: 0, exemptCategories: [] },
+        DE: { rate: 0, exemptCategories: [] },
+        MT: { rate: 0, exemptCategories: [] },
+        NH: { rate: 0, exemptCategories: [] }
+      }
+    },
+    Canada: {
+      default: { rate: 0.05, exemptCategories: [] },
+      states: {
+        ON: { rate: 0.13, exemptCategories: [] },
+        QC: { rate: 0.14975, exemptCategories: [] },
+        BC: { rate: 0.12, exemptCategories: [] }
+      }
+    }
+  }
+};
+
+const loadTaxRates = () => {
+  if (!process.env.TAX_RATES_FILE) return defaultTaxRates;
+  return JSON.parse(fs.readFileSync(process.env.TAX_RATES_FILE, 'utf8'));
+};
+
+module.exports = loadTaxRates();
@@ -0,0 +1,161 @@
+const User = require('../models/User');
+
+const ADDRESS_FIELDS = ['label', 'street', 'city', 'state', 'zipCode', 'country', 'phoneNumber'];
+
+// Copy only the address fields from a request body
+const pickAddressFields = (body) =>
+  Object.fromEntries(ADDRESS_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// Apply the default flags from a request body (true moves the default to
+// this entry; false is ignored, a default is only replaced by another one)
+const applyDefaultFlags = (user, address, body) => {
+  user.setDefaultAddress(address._id, {
+    shipping: body.isDefaultShipping === true,
+    billing: body.isDefaultBilling === true
+  });
+};
+
+// The first address is the default for both until the user picks others
+const ensureDefaults = (user) => {
+  const [first] = user.addresses;
+  if (!first) return;
+  if (!user.addresses.some(entry => entry.isDefaultShipping)) first.isDefaultShipping = true;
+  if (!user.addresses.some(entry => entry.isDefaultBilling)) first.isDefaultBilling = true;
+};
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    error: error.message
+  });
+
+// @desc    Get the address book
+// @route   GET /api/auth/addresses
+// @access  Private
+const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('addresses');
+
+    res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      data: user.addresses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching addresses',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Save a new address
+// @route   POST /api/auth/addresses
+// @access  Private
+// Body: { label, street, city, state, zipCode, country?, phoneNumber,
+//         isDefaultShipping?, isDefaultBilling? }
+const addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+    applyDefaultFlags(user, address, req.body);
+    ensureDefaults(user);
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: address
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationResponse(res, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving address',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a saved address or make it a default
+// @route   PATCH /api/auth/addresses/:addressId
+// @access  Private
+const updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.set(pickAddressFields(req.body));
+    applyDefaultFlags(user, address, req.body);
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: address
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationResponse(res, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating address',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a saved address
+// @route   DELETE /api/auth/addresses/:addressId
+// @access  Private
+// Deleting a default hands the flag to the first remaining address.
+// Orders are unaffected: they keep their own copy of the address.
+const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.deleteOne();
+    ensureDefaults(user);
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted',
+      data: user.addresses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting address',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress
+};
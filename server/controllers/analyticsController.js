@@ -3,7 +3,7 @@ const Product = require('../models/Product');
 
 // @desc    Get revenue statistics
 // @route   GET /api/stats/revenue
-// @access  Private/Admin
+// @access  Private/stats:read
 //  Aggregation Pipeline - $group, $match, $sort
 const getRevenueStats = async (req, res) => {
   try {
@@ -223,7 +223,7 @@ const getBestSellers = async (req, res) => {
 
 // @desc    Get sales trends over time
 // @route   GET /api/stats/sales-trends
-// @access  Private/Admin
+// @access  Private/stats:read
 //  Aggregation Pipeline - $dateToString, time-based grouping
 const getSalesTrends = async (req, res) => {
   try {
@@ -317,7 +317,7 @@ const getSalesTrends = async (req, res) => {
 
 // @desc    Get inventory report
 // @route   GET /api/stats/inventory
-// @access  Private/Admin
+// @access  Private/inventory:read
 //  Aggregation Pipeline - complex calculations
 const getInventoryReport = async (req, res) => {
   try {
@@ -382,7 +382,7 @@ const getInventoryReport = async (req, res) => {
 
 // @desc    Get customer insights
 // @route   GET /api/stats/customers
-// @access  Private/Admin
+// @access  Private/stats:read
 //  Aggregation Pipeline - $lookup, complex joins
 const getCustomerInsights = async (req, res) => {
   try {
@@ -0,0 +1,60 @@
+const AuditLog = require('../models/AuditLog');
+const escapeRegex = require('../utils/escapeRegex');
+
+// @desc    Browse the audit log, newest first
+// @route   GET /api/audit
+// @access  Private/audit:read
+// Query: action ('product.update', or a prefix such as 'product.'),
+//        targetModel, targetId, actor (user id), actorEmail (partial),
+//        from, to (dates), page, limit
+const getAuditLogs = async (req, res) => {
+  try {
+    const { action, targetModel, targetId, actor, actorEmail, from, to, page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(1, Number(page) || 1);
+    const pageSize = Math.min(200, Math.max(1, Number(limit) || 50));
+
+    const filter = {};
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? new RegExp(`^${escapeRegex(action)}`)
+        : action;
+    }
+    if (targetModel) filter.targetModel = targetModel;
+    if (targetId) filter.targetId = targetId;
+    if (actor) filter.actor = actor;
+    if (actorEmail) filter.actorEmail = new RegExp(escapeRegex(actorEmail), 'i');
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize),
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,10 +1,72 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const UserToken = require('../models/UserToken');
+const AuditLog = require('../models/AuditLog');
+const { sendMail } = require('../services/mail');
+const {
+  checkLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins
+} = require('../services/loginGuard');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+const {
+  isRequiredFor,
+  createChallenge,
+  readChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+const { buildExport, anonymizeAccount } = require('../services/accountService');
 
-//  Generate JWT Token]
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d' // Token expires in 30 days
+const RESET_TOKEN_MINUTES = 60;
+const VERIFY_TOKEN_MINUTES = 48 * 60;
+const TWO_FACTOR_SETUP_MINUTES = 30;
+// Logins within this long of the last setup email do not send another
+const TWO_FACTOR_RESEND_MINUTES = 5;
+
+// User fields returned with a new session
+const authUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: user.permissions,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled
+});
+
+// Link into the React app (first entry of CLIENT_URL)
+const clientLink = (path, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').split(',')[0].trim();
+  return `${base}${path}?token=${token}`;
+};
+
+// Mail a fresh email verification link
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email-verification', VERIFY_TOKEN_MINUTES);
+  await sendMail(user.email, 'emailVerification', {
+    name: user.name,
+    url: clientLink('/verify-email', token),
+    minutes: VERIFY_TOKEN_MINUTES
+  });
+};
+
+// Mail the link an admin enrolls 2FA through (REQUIRE_ADMIN_2FA)
+// Skipped while a recent link is still valid, so repeated logins cannot
+// flood the mailbox (the earlier link keeps working)
+const sendTwoFactorSetupEmail = async (user) => {
+  if (await UserToken.issuedRecently(user._id, '2fa-enrollment', TWO_FACTOR_RESEND_MINUTES)) return;
+
+  const token = await UserToken.issue(user._id, '2fa-enrollment', TWO_FACTOR_SETUP_MINUTES);
+  await sendMail(user.email, 'twoFactorEnrollment', {
+    name: user.name,
+    url: clientLink('/2fa-setup', token),
+    minutes: TWO_FACTOR_SETUP_MINUTES
   });
 };
 
@@ -15,14 +77,6 @@ const register = async (req, res) => {
   try {
     const { name, email, password, phoneNumber, address } = req.body;
 
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide name, email, and password'
-      });
-    }
-
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -41,20 +95,20 @@ const register = async (req, res) => {
       address
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Mail the verification link (registration succeeds even if mail fails)
+    sendVerificationEmail(user).catch((mailError) =>
+      console.error('Error sending verification email:', mailError.message));
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: authUser(user),
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -73,22 +127,22 @@ const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
+    // Find user (include password and lockout state for comparison)
+    const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockUntil');
 
-    // Find user (include password for comparison)
-    const user = await User.findOne({ email }).select('+password');
+    // Same answer for unknown emails, wrong passwords, locked accounts and
+    // blocked IPs, so a lockout does not reveal that the account exists
+    const invalidCredentials = () => res.status(401).json({
+      success: false,
+      message: 'Invalid email or password'
+    });
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    // Progressive delay, then refuse locked accounts / blocked IPs
+    const refused = await checkLoginAttempt(user, req.ip);
+
+    if (refused || !user) {
+      await registerFailedLogin(user, req);
+      return invalidCredentials();
     }
 
     // Check if user is active
@@ -103,33 +157,133 @@ const login = async (req, res) => {
     const isPasswordCorrect = await user.comparePassword(password);
 
     if (!isPasswordCorrect) {
+      await registerFailedLogin(user, req);
+      return invalidCredentials();
+    }
+
+    // Admins who must enroll under REQUIRE_ADMIN_2FA: a password alone
+    // must not set up the second factor, so the setup link goes to the
+    // mailbox. Failures are only cleared once a second step passes.
+    if (!user.twoFactor.enabled && isRequiredFor(user)) {
+      await sendTwoFactorSetupEmail(user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Admin accounts need two-factor authentication. We emailed you a link to set it up.',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: true
+        }
+      });
+    }
+
+    // Second step for 2FA accounts
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter your authentication code',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: false,
+          challengeToken: createChallenge(user)
+        }
+      });
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await clearFailedLogins(user);
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: authUser(user),
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Finish a two-factor login
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from login)
+// Body: { challengeToken, code } or { challengeToken, backupCode }.
+// Wrong codes count as failed logins.
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const userId = readChallenge(challengeToken);
+    const user = await User.findById(userId).select('+failedLoginAttempts +lockUntil');
+
+    const refused = await checkLoginAttempt(user, req.ip);
+
+    if (refused || !user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Too many attempts or account unavailable. Please sign in again later.'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this account'
+      });
+    }
+
+    const verified = await verifySecondFactor(user._id, { code, backupCode });
+
+    if (!verified) {
+      await registerFailedLogin(user, req);
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid authentication code'
       });
     }
 
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await clearFailedLogins(user);
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: authUser(user),
+        token,
+        refreshToken,
+        remainingBackupCodes: verified.remainingBackupCodes
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Login failed',
@@ -138,6 +292,372 @@ const login = async (req, res) => {
   }
 };
 
+// @desc    Start the 2FA setup an admin login asked for (link from the email)
+// @route   POST /api/auth/login/2fa/setup
+// @access  Public (setup token from the email)
+// Returns { secret, otpauthUri }; the token stays valid until setup is confirmed
+const loginTwoFactorSetup = async (req, res) => {
+  try {
+    const setupToken = await UserToken.findValid(req.body.token, '2fa-enrollment');
+    const user = setupToken && await User.findById(setupToken.user);
+
+    if (!user || !user.isActive || user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Setup link is invalid or has expired. Please sign in again.'
+      });
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm the emailed 2FA setup with the first code and sign in
+// @route   POST /api/auth/login/2fa/enable
+// @access  Public (setup token from the email)
+// Body: { token, code }. Returns a session plus the backup codes (shown once).
+// Wrong codes count as failed logins.
+const loginTwoFactorEnable = async (req, res) => {
+  try {
+    const { token: setupTokenValue, code } = req.body;
+
+    const setupToken = await UserToken.findValid(setupTokenValue, '2fa-enrollment');
+    const user = setupToken && await User.findById(setupToken.user).select('+failedLoginAttempts +lockUntil');
+
+    const refused = await checkLoginAttempt(user, req.ip);
+
+    if (refused || !user || !user.isActive || user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Setup link is invalid or has expired. Please sign in again.'
+      });
+    }
+
+    const backupCodes = await completeEnrollment(user._id, code);
+
+    if (!backupCodes) {
+      await registerFailedLogin(user, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await UserToken.consume(setupTokenValue, '2fa-enrollment');
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await clearFailedLogins(user);
+    }
+
+    await AuditLog.record({
+      actor: user,
+      action: 'auth.2fa_enabled',
+      targetModel: 'User',
+      targetId: user._id,
+      ip: req.ip
+    });
+
+    // Update last login (reload: enrollment changed twoFactor in the database)
+    const fresh = await User.findById(user._id);
+    fresh.lastLogin = new Date();
+    await fresh.save();
+
+    const { token, refreshToken } = await createSession(fresh, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        user: authUser(fresh),
+        token,
+        refreshToken,
+        backupCodes
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a new access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+const refresh = async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out this device (revokes its refresh token)
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+// Works with an expired access token, so the client can always log out
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out of all devices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mail a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+// Always answers the same way, so it cannot be used to find out which
+// emails have accounts
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      const token = await UserToken.issue(user._id, 'password-reset', RESET_TOKEN_MINUTES);
+      await sendMail(user.email, 'passwordReset', {
+        name: user.name,
+        url: clientLink('/reset-password', token),
+        minutes: RESET_TOKEN_MINUTES
+      }).catch((mailError) => console.error('Error sending reset email:', mailError.message));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (one-time token)
+// Logs out every session of the account
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await UserToken.consume(token, 'password-reset');
+    const user = resetToken && await User.findById(resetToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // Getting the link proves the user can read the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Proving mailbox access also lifts a brute-force lock
+    await revokeAllSessions(user._id);
+    await clearFailedLogins(user);
+    sendMail(user.email, 'passwordChanged', { name: user.name })
+      .catch((mailError) => console.error('Error sending password changed email:', mailError.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change password (requires the current one)
+// @route   PUT /api/auth/password
+// @access  Private
+// Other devices are logged out; this session stays signed in
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, { except: req.sessionId });
+    sendMail(user.email, 'passwordChanged', { name: user.name })
+      .catch((mailError) => console.error('Error sending password changed email:', mailError.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address with the mailed token
+// @route   POST /api/auth/verify-email
+// @access  Public (one-time token)
+const verifyEmail = async (req, res) => {
+  try {
+    const verifyToken = await UserToken.consume(req.body.token, 'email-verification');
+
+    if (!verifyToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await User.updateOne(
+      { _id: verifyToken.user },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get current user profile
 // @route   GET /api/auth/me
 // @access  Private
@@ -163,6 +683,7 @@ const getMe = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
+    // Passwords only change through PUT /api/auth/password (the schema refuses one here)
     const { name, phoneNumber, address } = req.body;
 
     const user = await User.findById(req.user.id);
@@ -195,9 +716,106 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Download everything stored about the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+// Profile, address book, orders, reviews, cart and sessions as one JSON file
+const exportMyData = async (req, res) => {
+  try {
+    const archive = await buildExport(req.user._id);
+
+    res.set('Content-Disposition', `attachment; filename="shoestore-data-${req.user._id}.json"`);
+    res.status(200).json({
+      success: true,
+      data: archive
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting your data',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete (anonymize) the current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+// Body: { password, code? | backupCode? } (code when 2FA is on).
+// Orders and reviews stay for the shop's records without personal data;
+// staff accounts are removed by an admin instead.
+const deleteMe = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts must be removed by an administrator'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactor.enabled && !(await verifySecondFactor(user._id, { code, backupCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await anonymizeAccount(user);
+
+    // No email: the audit entry must not bring the personal data back
+    await AuditLog.record({
+      action: 'user.deleted',
+      targetModel: 'User',
+      targetId: user._id,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
   getMe,
+  exportMyData,
+  deleteMe,
   updateProfile
 };
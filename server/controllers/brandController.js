@@ -0,0 +1,181 @@
+const Brand = require('../models/Brand');
+const taxonomy = require('../services/taxonomyService');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Errors shared by the write handlers
+const sendBrandError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A brand with that name or slug already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    List brands (A-Z)
+// @route   GET /api/brands
+// @access  Public
+// ?includeInactive=true also lists deactivated brands (admin form)
+const getBrands = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive ? {} : { isActive: true };
+    const brands = await Brand.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: brands.length,
+      data: brands
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching brands',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one brand by slug
+// @route   GET /api/brands/:slug
+// @access  Public
+const getBrandBySlug = async (req, res) => {
+  try {
+    const brand = await Brand.findOne({ slug: req.params.slug });
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: brand
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching brand',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create brand
+// @route   POST /api/brands
+// @access  Private/products:write
+const createBrand = async (req, res) => {
+  try {
+    const brand = await Brand.create(req.body);
+
+    await recordChange(req, {
+      action: 'brand.create',
+      targetModel: 'Brand',
+      targetId: brand._id,
+      after: brand
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Brand created successfully',
+      data: brand
+    });
+  } catch (error) {
+    sendBrandError(res, error, 'Error creating brand');
+  }
+};
+
+// @desc    Update brand (a rename is applied to its products too)
+// @route   PATCH /api/brands/:id
+// @access  Private/products:write
+const updateBrand = async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const before = snapshot(brand);
+    await taxonomy.updateBrand(brand, req.body);
+
+    await recordChange(req, {
+      action: 'brand.update',
+      targetModel: 'Brand',
+      targetId: brand._id,
+      before,
+      after: brand
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand updated successfully',
+      data: brand
+    });
+  } catch (error) {
+    sendBrandError(res, error, 'Error updating brand');
+  }
+};
+
+// @desc    Delete brand (only while no product uses it)
+// @route   DELETE /api/brands/:id
+// @access  Private/products:write
+const deleteBrand = async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    await taxonomy.deleteBrand(brand);
+
+    await recordChange(req, {
+      action: 'brand.delete',
+      targetModel: 'Brand',
+      targetId: brand._id,
+      before: brand
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    sendBrandError(res, error, 'Error deleting brand');
+  }
+};
+
+module.exports = {
+  getBrands,
+  getBrandBySlug,
+  createBrand,
+  updateBrand,
+  deleteBrand
+};
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { buildQuote, formatQuote } = require('../services/pricingService');
+
+// Shape returned to the client (matches the CartContext item shape)
+const formatCart = (cart) => ({
+  items: cart.items.map(item => ({
+    product: item.product,
+    color: item.color,
+    size: item.size,
+    quantity: item.quantity,
+    price: item.price
+  })),
+  itemCount: cart.itemCount,
+  subtotal: cart.subtotal
+});
+
+// Check that a product exists, is active and has the color/size variant
+const findVariantError = async (productId, color, size) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  const colorOption = product.colors.find(c => c.name === color);
+  if (!colorOption || !colorOption.sizes.find(s => s.size === String(size))) {
+    return { status: 400, message: `${product.name} is not available in ${color}, size ${size}` };
+  }
+
+  return null;
+};
+
+// @desc    Get current user's cart (re-priced)
+// @route   GET /api/cart
+// @access  Private
+const getCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.user._id);
+    await cart.refreshPrices();
+
+    res.status(200).json({
+      success: true,
+      data: formatCart(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Private
+const addCartItem = async (req, res) => {
+  try {
+    const { product, color, size, quantity = 1 } = req.body;
+
+    const variantError = await findVariantError(product, color, size);
+    if (variantError) {
+      return res.status(variantError.status).json({
+        success: false,
+        message: variantError.message
+      });
+    }
+
+    const cart = await Cart.findOrCreate(req.user._id);
+    cart.addItem(product, color, size, quantity);
+    await cart.save();
+    await cart.refreshPrices();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item added to cart',
+      data: formatCart(cart)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error adding item to cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update item quantity (0 removes the item)
+// @route   PATCH /api/cart/items/:productId/:color/:size
+// @access  Private
+const updateCartItem = async (req, res) => {
+  try {
+    const { productId, color, size } = req.params;
+    const { quantity } = req.body;
+
+    const cart = await Cart.findOrCreate(req.user._id);
+    const item = cart.findItem(productId, color, size);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not in cart'
+      });
+    }
+
+    if (quantity <= 0) {
+      cart.removeItem(productId, color, size);
+    } else {
+      item.quantity = quantity;
+    }
+
+    await cart.save();
+    await cart.refreshPrices();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart updated',
+      data: formatCart(cart)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:productId/:color/:size
+// @access  Private
+const removeCartItem = async (req, res) => {
+  try {
+    const { productId, color, size } = req.params;
+
+    const cart = await Cart.findOrCreate(req.user._id);
+    cart.removeItem(productId, color, size);
+    await cart.save();
+    await cart.refreshPrices();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart',
+      data: formatCart(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing item from cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Private
+const clearCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.user._id);
+    cart.items = [];
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared',
+      data: formatCart(cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Merge an anonymous (localStorage) cart into the user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+// Quantities of matching items are added (capped at 99); malformed lines and
+// unknown variants are skipped.
+const mergeCart = async (req, res) => {
+  try {
+    const { items = [] } = req.body;
+
+    const cart = await Cart.findOrCreate(req.user._id);
+
+    for (const item of items) {
+      if (!item) continue;
+      const quantity = Number(item.quantity) || 0;
+      if (!mongoose.isValidObjectId(item.product) || !item.color || !item.size || quantity < 1) continue;
+
+      const variantError = await findVariantError(item.product, item.color, item.size);
+      if (variantError) continue;
+
+      cart.addItem(item.product, item.color, item.size, quantity);
+    }
+
+    await cart.save();
+    await cart.refreshPrices();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart merged',
+      data: formatCart(cart)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error merging cart',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview a coupon against the current cart
+// @route   POST /api/cart/apply-coupon
+// @access  Private
+// Nothing is redeemed here; createOrder re-validates and redeems the code.
+const applyCoupon = async (req, res) => {
+  try {
+    const { code, shippingAddress } = req.body;
+
+    const cart = await Cart.findOrCreate(req.user._id);
+    await cart.refreshPrices();
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Same pricing code createOrder uses
+    const quote = await buildQuote({
+      items: cart.items.map(item => ({
+        product: item.product._id,
+        color: item.color,
+        size: item.size,
+        quantity: item.quantity
+      })),
+      shippingAddress,
+      couponCode: code,
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: formatQuote(quote)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error applying coupon',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  applyCoupon
+};
@@ -0,0 +1,186 @@
+const Category = require('../models/Category');
+const taxonomy = require('../services/taxonomyService');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Errors shared by the write handlers
+const sendCategoryError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A category with that name or slug already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    List categories in tree order (each parent followed by its children)
+// @route   GET /api/categories
+// @access  Public
+// Flat list; every entry has parent, ancestors, path ("Running > Trail")
+// and depth. ?includeInactive=true also lists deactivated categories.
+const getCategories = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive ? {} : { isActive: true };
+    const categories = (await Category.find(filter))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching categories',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one category by slug, with its direct subcategories
+// @route   GET /api/categories/:slug
+// @access  Public
+const getCategoryBySlug = async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const children = await Category.find({ parent: category._id, isActive: true }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...category.toJSON(), children }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private/products:write
+const createCategory = async (req, res) => {
+  try {
+    const category = await Category.create(req.body);
+
+    await recordChange(req, {
+      action: 'category.create',
+      targetModel: 'Category',
+      targetId: category._id,
+      after: category
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error creating category');
+  }
+};
+
+// @desc    Update category (rename or move under another parent)
+// A rename is applied to its products; a move carries the subtree along.
+// @route   PATCH /api/categories/:id
+// @access  Private/products:write
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const before = snapshot(category);
+    await taxonomy.updateCategory(category, req.body);
+
+    await recordChange(req, {
+      action: 'category.update',
+      targetModel: 'Category',
+      targetId: category._id,
+      before,
+      after: category
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error updating category');
+  }
+};
+
+// @desc    Delete category (only without subcategories and products)
+// @route   DELETE /api/categories/:id
+// @access  Private/products:write
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    await taxonomy.deleteCategory(category);
+
+    await recordChange(req, {
+      action: 'category.delete',
+      targetModel: 'Category',
+      targetId: category._id,
+      before: category
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error deleting category');
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
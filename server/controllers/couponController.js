@@ -0,0 +1,110 @@
+const Coupon = require('../models/Coupon');
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/coupons:write
+const getCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/coupons:write
+const createCoupon = async (req, res) => {
+  try {
+    // The schema leaves out the redemption counters (Coupon.redeem owns them)
+    const coupon = await Coupon.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PATCH /api/coupons/:id
+// @access  Private/coupons:write
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(req.body);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/coupons:write
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
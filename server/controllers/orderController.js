@@ -1,111 +1,169 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const Reservation = require('../models/Reservation');
+const Coupon = require('../models/Coupon');
+const { buildQuote, formatQuote } = require('../services/pricingService');
+const { authorizeOrderPayment, voidAuthorization } = require('../services/paymentService');
+const { transitionOrder } = require('../services/orderStatusService');
+const { snapshot, recordChange } = require('../services/auditService');
+const httpError = require('../utils/httpError');
+const { hasPermission } = require('../config/permissions');
+
+// Shipping address for an order: a saved address (addressId) is copied in,
+// so later edits to the address book never change placed orders
+// Throws httpError 404 for an unknown addressId
+const resolveShippingAddress = (user, { addressId, shippingAddress }) => {
+  if (!addressId) return shippingAddress;
+
+  const saved = user.addresses.id(addressId);
+  if (!saved) {
+    throw httpError(404, 'Saved address not found');
+  }
+
+  const { street, city, state, zipCode, country, phoneNumber } = saved;
+  return { street, city, state, zipCode, country, phoneNumber };
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
+// Body: shippingAddress, or addressId of an address book entry
 // There are References, Embedded Documents, Transactions
+// Every stock decrement and the Order insert run in ONE multi-document
+// transaction: if any item fails, all previous decrements are rolled back.
+// The user's checkout reservations are consumed in the same transaction.
+// The payment is authorized last; a decline aborts the whole transaction and
+// an authorization whose order never commits is voided.
 const createOrder = async (req, res) => {
+  const { items, shippingMethod, paymentMethod, customerNotes, couponCode } = req.body;
+
+  let shippingAddress;
   try {
-    const { items, shippingAddress, paymentMethod, customerNotes } = req.body;
+    shippingAddress = resolveShippingAddress(req.user, req.body);
+  } catch (error) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No order items provided'
-      });
-    }
+  const session = await mongoose.startSession();
+  let authorization = null;
 
-    if (!shippingAddress) {
-      return res.status(400).json({
-        success: false,
-        message: 'Shipping address is required'
+  try {
+    let order;
+
+    // withTransaction retries the callback on transient errors,
+    // so everything it builds must be (re)initialised inside it
+    await session.withTransaction(async () => {
+      // A retry must not leave the previous attempt's authorization hanging
+      if (authorization) {
+        await voidAuthorization(authorization);
+        authorization = null;
+      }
+
+      // Price every line (products are read in the session)
+      const quote = await buildQuote({
+        items,
+        shippingAddress,
+        shippingMethod,
+        couponCode,
+        userId: req.user._id,
+        session
       });
-    }
 
-    // Calculate order totals and validate stock
-    let orderItems = [];
-    let subtotal = 0;
+      const orderItems = [];
 
-    for (const item of items) {
-      const product = await Product.findById(item.product);
+      for (const line of quote.lines) {
+        const { product, sizeVariant } = line;
 
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.product} not found`
+        // Check stock availability (other shoppers' active holds are not for sale;
+        // the user's own holds are consumed below)
+        const held = await Reservation.getHeldQuantities(product._id, {
+          session,
+          excludeUser: req.user._id
         });
-      }
+        const available = sizeVariant.stock - (held.get(Reservation.holdKey(line.color, line.size)) || 0);
 
-      // Find the specific color and size
-      const color = product.colors.find(c => c.name === item.color);
-      if (!color) {
-        return res.status(400).json({
-          success: false,
-          message: `Color ${item.color} not available for ${product.name}`
-        });
-      }
+        if (available < line.quantity) {
+          throw httpError(400, `Insufficient stock for ${product.name} (${line.color}, size ${line.size}). Only ${Math.max(0, available)} available.`);
+        }
 
-      const sizeVariant = color.sizes.find(s => s.size === item.size);
-      if (!sizeVariant) {
-        return res.status(400).json({
-          success: false,
-          message: `Size ${item.size} not available for ${product.name} in ${item.color}`
+        // Create order item with denormalized data
+        orderItems.push({
+          product: product._id,
+          productName: product.name,
+          productImage: product.mainImage,
+          brand: product.brand,
+          category: product.category,
+          color: line.color,
+          size: line.size,
+          priceAtPurchase: line.unitPrice,
+          quantity: line.quantity,
+          subtotal: line.subtotal,
+          discountAmount: line.discountAmount,
+          taxRate: line.taxRate,
+          taxAmount: line.taxAmount,
+          taxExempt: line.taxExempt
         });
-      }
 
-      // Check stock availability
-      if (sizeVariant.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name} (${item.color}, size ${item.size}). Only ${sizeVariant.stock} available.`
-        });
+        // Conditional decrement in the transaction's session; it only fails
+        // here if a concurrent checkout took the stock after our read
+        try {
+          await product.decreaseStock(line.color, line.size, line.quantity);
+        } catch (stockError) {
+          // Driver errors (e.g. write conflicts) must keep their labels so withTransaction can retry
+          if (stockError instanceof mongoose.mongo.MongoError) throw stockError;
+          throw httpError(400, `Insufficient stock for ${product.name} (${line.color}, size ${line.size})`);
+        }
       }
 
-      // Calculate item subtotal
-      const itemSubtotal = product.finalPrice * item.quantity;
-      subtotal += itemSubtotal;
-
-      // Create order item with denormalized data
-      orderItems.push({
-        product: product._id,
-        productName: product.name,
-        productImage: product.mainImage,
-        brand: product.brand,
-        color: item.color,
-        size: item.size,
-        priceAtPurchase: product.finalPrice,
-        quantity: item.quantity,
-        subtotal: itemSubtotal
-      });
+      // The decrements above replace the user's checkout holds
+      await Reservation.deleteMany({ user: req.user._id }, { session });
 
-      // Decrease stock using the product method
-      await product.decreaseStock(item.color, item.size, item.quantity);
-    }
+      // Redeem the coupon (usage counters move atomically)
+      const { coupon } = quote;
+      if (coupon) {
+        const redeemed = await Coupon.redeem(coupon._id, req.user._id, session);
+        if (!redeemed) {
+          throw httpError(409, 'This coupon has reached its usage limit');
+        }
+      }
 
-    // Calculate shipping (free over $100, otherwise $10)
-    const shippingCost = subtotal >= 100 ? 0 : 10;
-
-    // Calculate tax (8%)
-    const tax = Math.round(subtotal * 0.08 * 100) / 100;
-
-    // Calculate total
-    const totalAmount = subtotal + tax + shippingCost;
-
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
-      userEmail: req.user.email,
-      userName: req.user.name,
-      items: orderItems,
-      shippingAddress,
-      subtotal,
-      tax,
-      shippingCost,
-      totalAmount,
-      paymentMethod,
-      customerNotes,
-      estimatedDeliveryDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
+      // Create order (array form is required to pass a session to create)
+      [order] = await Order.create([{
+        user: req.user._id,
+        userEmail: req.user.email,
+        userName: req.user.name,
+        items: orderItems,
+        shippingAddress,
+        subtotal: quote.subtotal,
+        coupon: coupon ? {
+          code: coupon.code,
+          couponId: coupon._id,
+          description: coupon.description,
+          amount: quote.discount
+        } : undefined,
+        discountAmount: quote.discount,
+        tax: quote.tax,
+        taxJurisdiction: quote.taxJurisdiction,
+        shippingCost: quote.shippingCost,
+        shippingMethod: {
+          code: quote.shipping.code,
+          name: quote.shipping.name,
+          zone: quote.shipping.zone,
+          minDays: quote.shipping.minDays,
+          maxDays: quote.shipping.maxDays
+        },
+        totalAmount: quote.totalAmount,
+        paymentMethod,
+        customerNotes,
+        estimatedDeliveryDate: quote.shipping.estimatedDeliveryDate
+      }], { session });
+
+      // Authorize the total with the payment provider
+      authorization = await authorizeOrderPayment(order);
+      await order.save({ session });
     });
 
     res.status(201).json({
@@ -114,11 +172,61 @@ const createOrder = async (req, res) => {
       data: order
     });
   } catch (error) {
+    // The order was rolled back, so its authorization must not hold funds
+    if (authorization) {
+      await voidAuthorization(authorization).catch((voidError) =>
+        console.error('Error voiding authorization:', voidError.message));
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error creating order',
       error: error.message
     });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Quote an order before placing it (lines, discount, tax, shipping, total)
+// @route   POST /api/orders/quote
+// @access  Private
+// Uses the same pricing code as createOrder, so the checkout preview
+// can never disagree with the order that gets created.
+const quoteOrder = async (req, res) => {
+  try {
+    const { items, shippingMethod, couponCode } = req.body;
+
+    const quote = await buildQuote({
+      items,
+      shippingAddress: resolveShippingAddress(req.user, req.body),
+      shippingMethod,
+      couponCode,
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatQuote(quote)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating quote',
+      error: error.message
+    });
   }
 };
 
@@ -162,8 +270,8 @@ const getOrderById = async (req, res) => {
       });
     }
 
-    // Check if user owns this order or is admin
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this order or is staff with orders:read
+    if (order.user._id.toString() !== req.user._id.toString() && !hasPermission(req.user.role, 'orders:read')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this order'
@@ -183,9 +291,9 @@ const getOrderById = async (req, res) => {
   }
 };
 
-// @desc    Get all orders (Admin)
+// @desc    Get all orders (Staff)
 // @route   GET /api/orders
-// @access  Private/Admin
+// @access  Private/orders:read
 const getAllOrders = async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
@@ -211,7 +319,11 @@ const getAllOrders = async (req, res) => {
       total,
       page: Number(page),
       pages: Math.ceil(total / limit),
-      data: orders
+      // Next statuses this staff member may pick (Order.TRANSITIONS)
+      data: orders.map(order => ({
+        ...order.toJSON(),
+        allowedTransitions: order.getAllowedTransitions(req.user.role)
+      }))
     });
   } catch (error) {
     res.status(500).json({
@@ -222,19 +334,14 @@ const getAllOrders = async (req, res) => {
   }
 };
 
-// @desc    Update order status (Admin)
+// @desc    Update order status (Staff)
 // @route   PATCH /api/orders/:id/status
-// @access  Private/Admin
+// @access  Private/orders:read (each move needs its own permission)
+// Body: { status, note?, trackingNumber? (required to ship) }
+// Moves outside Order.TRANSITIONS get 409 with the allowed next statuses
 const updateOrderStatus = async (req, res) => {
   try {
-    const { status, note } = req.body;
-
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        message: 'Status is required'
-      });
-    }
+    const { status, note, trackingNumber } = req.body;
 
     const order = await Order.findById(req.params.id);
 
@@ -245,7 +352,18 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    await order.updateStatus(status, note);
+    const before = snapshot(order);
+    await transitionOrder(order, status, { role: req.user.role, note, trackingNumber });
+
+    await recordChange(req, {
+      action: 'order.status',
+      targetModel: 'Order',
+      targetId: order._id,
+      before,
+      after: order,
+      omit: ['statusHistory'],
+      metadata: { note }
+    });
 
     res.status(200).json({
       success: true,
@@ -253,6 +371,13 @@ const updateOrderStatus = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowed: error.allowed
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error updating order status',
@@ -263,7 +388,7 @@ const updateOrderStatus = async (req, res) => {
 
 // @desc    Cancel order
 // @route   DELETE /api/orders/:id
-// @access  Private
+// @access  Private (owner, or staff with orders:cancel)
 const cancelOrder = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
@@ -275,44 +400,48 @@ const cancelOrder = async (req, res) => {
       });
     }
 
-    // Check if user owns this order
-    if (order.user.toString() !== req.user._id.toString()) {
+    // Check if user owns this order or may cancel any order
+    const isOwner = order.user.toString() === req.user._id.toString();
+    if (!isOwner && !hasPermission(req.user.role, 'orders:cancel')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this order'
       });
     }
 
-    if (!order.canBeCancelled) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order cannot be cancelled at this stage'
-      });
-    }
+    // Voids/refunds the payment and restocks the items
+    const before = snapshot(order);
+    await transitionOrder(order, 'Cancelled', {
+      role: req.user.role,
+      asOwner: isOwner,
+      note: isOwner ? 'Cancelled by user' : `Cancelled by ${req.user.role}`
+    });
 
-    // Restore stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        const colorIndex = product.colors.findIndex(c => c.name === item.color);
-        if (colorIndex !== -1) {
-          const sizeIndex = product.colors[colorIndex].sizes.findIndex(s => s.size === item.size);
-          if (sizeIndex !== -1) {
-            product.colors[colorIndex].sizes[sizeIndex].stock += item.quantity;
-            await product.save();
-          }
-        }
-      }
+    // Staff cancellations are audited like other admin changes
+    if (!isOwner) {
+      await recordChange(req, {
+        action: 'order.cancel',
+        targetModel: 'Order',
+        targetId: order._id,
+        before,
+        after: order,
+        omit: ['statusHistory']
+      });
     }
 
-    await order.cancelOrder('Cancelled by user');
-
     res.status(200).json({
       success: true,
       message: 'Order cancelled successfully',
       data: order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.statusCode === 409 ? 'Order cannot be cancelled at this stage' : error.message,
+        allowed: error.allowed
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error cancelling order',
@@ -323,6 +452,7 @@ const cancelOrder = async (req, res) => {
 
 module.exports = {
   createOrder,
+  quoteOrder,
   getMyOrders,
   getOrderById,
   getAllOrders,
@@ -0,0 +1,141 @@
+const Order = require('../models/Order');
+const {
+  captureOrderPayment,
+  refundOrderPayment,
+  voidOrderPayment,
+  handleWebhookEvent
+} = require('../services/paymentService');
+
+// Load the order or answer 404
+const findOrder = async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+  return order;
+};
+
+// Shared error response for the payment actions
+const sendPaymentError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(502).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Capture an order's authorized payment (Admin)
+// @route   POST /api/payments/:orderId/capture
+// @access  Private/payments:capture
+const capturePayment = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await captureOrderPayment(order, req.body.note);
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment captured',
+      data: order
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Error capturing payment');
+  }
+};
+
+// @desc    Refund an order's payment, fully or partially (Staff)
+// @route   POST /api/payments/:orderId/refund
+// @access  Private/orders:refund
+// Body: { amount? (defaults to the remaining captured amount), note? }
+const refundPayment = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await refundOrderPayment(order, req.body.amount, req.body.note);
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment refunded',
+      data: order
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Error refunding payment');
+  }
+};
+
+// @desc    Void an order's uncaptured authorization (Staff)
+// @route   POST /api/payments/:orderId/void
+// @access  Private/orders:refund
+const voidPayment = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await voidOrderPayment(order, req.body.note);
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment voided',
+      data: order
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Error voiding payment');
+  }
+};
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhook
+// @access  Public (signed with PAYMENT_WEBHOOK_SECRET)
+// The signature covers the raw request body (kept by express.json in server.js)
+const handleWebhook = async (req, res) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const { order, duplicate, ignored } = await handleWebhookEvent(rawBody, req.headers);
+
+    let message = 'Event processed';
+    if (duplicate) message = 'Event already processed';
+    if (ignored) message = `Event ignored: payment is ${order.paymentStatus}`;
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        orderId: order._id,
+        paymentStatus: order.paymentStatus
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  handleWebhook
+};
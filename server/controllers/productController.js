@@ -1,99 +1,74 @@
 const Product = require('../models/Product');
+const Reservation = require('../models/Reservation');
+const { snapshot, recordChange } = require('../services/auditService');
+const { buildFilters, getFacets, listProducts, suggest } = require('../services/productSearchService');
+
+// Customer content, derived counters and search grams stay out of the audit diffs
+const AUDIT_OMIT = ['reviews', 'averageRating', 'totalReviews', 'salePrice', 'searchPrefixes', 'searchTrigrams'];
 
 // ===============================================
-// @desc    Get all products with filtering, sorting, pagination
+// @desc    Get products with filtering, sorting, cursor pagination
 // @route   GET /api/products
 // @access  Public
-// DEMONSTRATES: Text Search, Regex Search, Filtering, Sorting
+// DEMONSTRATES: Text Search, Filtering, Keyset Pagination, $facet
+// brand, category, gender, color, size and priceBand take several values;
+// ?facets=true also returns the sidebar counts (services/productSearchService)
+// sort: relevance (default with a search), newest (default), price_asc,
+// price_desc, best_selling, top_rated. Pass nextCursor back as ?cursor=
+// for the following page; total is returned with the first page only.
 // ===============================================
 const getProducts = async (req, res) => {
   try {
     const {
-      search,        // Text search
-      brand,         // Filter by brand
-      category,      // Filter by category
-      minPrice,      // Price range filter
-      maxPrice,      // Price range filter
-      gender,        // Filter by gender
-      sortBy,        // Sort field
-      order,         // Sort order (asc/desc)
-      page,          // Pagination
-      limit,         // Items per page
-      featured       // Show only featured products
+      sort,          // Named sort mode
+      cursor,        // Opaque position from the previous page
+      limit = 12,    // Items per page
+      facets         // Include facet counts
     } = req.query;
 
-    // Build query object
-    let query = { isActive: true };
-
-    // TEXT SEARCH (Advanced Feature - uses text index)
-    if (search) {
-      query.$text = { $search: search };
-    }
-
-    // FILTERS
-    if (brand) {
-      query.brand = brand;
-    }
-
-    if (category) {
-      query.category = category;
-    }
-
-    if (gender) {
-      query.gender = gender;
-    }
-
-    // PRICE RANGE (Advanced Feature - compound query)
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
-
-    if (featured === 'true') {
-      query.isFeatured = true;
-    }
+    // Build query object: every filter (brand, category, price, ...) is one
+    // clause, so the facets can leave their own clause out
+    const filters = await buildFilters(req.query);
+    const page = await listProducts(filters, { sort, cursor, limit });
 
-    // Build sort object
-    let sortOptions = {};
-    if (sortBy) {
-      const sortOrder = order === 'desc' ? -1 : 1;
-      sortOptions[sortBy] = sortOrder;
-      
-      // If text search, add text score sorting
-      if (search) {
-        sortOptions.score = { $meta: 'textScore' };
-      }
-    } else {
-      sortOptions = { createdAt: -1 }; // Default: newest first
-    }
-
-    // Pagination
-    const pageNum = parseInt(page, 10) || 1;
-    const limitNum = parseInt(limit, 10) || 12;
-    const skip = (pageNum - 1) * limitNum;
-
-    // Execute query
-    const products = await Product.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum);
+    res.status(200).json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      sort: page.sort,
+      nextCursor: page.nextCursor,
+      data: page.data,
+      ...(facets && { facets: await getFacets(filters) })
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching products',
+      error: error.message
+    });
+  }
+};
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(query);
+// ===============================================
+// @desc    Search-box suggestions while typing
+// @route   GET /api/products/suggest?q=
+// @access  Public
+// DEMONSTRATES: Multikey n-gram indexes, typo-tolerant ranking
+// Returns product names, brands and categories plus the top products
+// (with thumbnails); fuzzy is true when only typo corrections matched
+// ===============================================
+const suggestProducts = async (req, res) => {
+  try {
+    const data = await suggest(req.query.q);
 
     res.status(200).json({
       success: true,
-      count: products.length,
-      total: total,
-      page: pageNum,
-      pages: Math.ceil(total / limitNum),
-      data: products
+      data
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error fetching products',
+      message: 'Error fetching suggestions',
       error: error.message
     });
   }
@@ -115,10 +90,22 @@ const getProductById = async (req, res) => {
       });
     }
 
+    // Available-to-sell = stock minus active checkout holds
+    const held = await Reservation.getHeldQuantities(product._id);
+    const data = product.toJSON();
+    data.availableToSell = 0;
+    data.colors.forEach(color => {
+      color.sizes.forEach(variant => {
+        const onHold = held.get(Reservation.holdKey(color.name, variant.size)) || 0;
+        variant.available = Math.max(0, variant.stock - onHold);
+        data.availableToSell += variant.available;
+      });
+    });
+
     // Increment view count (could add this field to schema)
     res.status(200).json({
       success: true,
-      data: product
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -132,24 +119,21 @@ const getProductById = async (req, res) => {
 // ===============================================
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private/products:write
 // DEMONSTRATES: CRUD - Create
 // ===============================================
 const createProduct = async (req, res) => {
   try {
-    const payload = { ...req.body };
-
-    // Coerce numeric fields that might arrive as strings
-    if (payload.price !== undefined) payload.price = Number(payload.price);
-    if (payload.discountPercentage !== undefined) payload.discountPercentage = Number(payload.discountPercentage);
+    // Numbers are already coerced and additionalImages split by the schema
+    const { defaultColorName, defaultHexCode, ...payload } = req.body;
 
     // If admin form doesn't send colors/sizes yet, create a safe default.
     // You can later update real colors/sizes via updateProduct or updateStock.
     if (!payload.colors || !Array.isArray(payload.colors) || payload.colors.length === 0) {
       payload.colors = [
         {
-          name: payload.defaultColorName || 'Default',
-          hexCode: payload.defaultHexCode || '#000000',
+          name: defaultColorName || 'Default',
+          hexCode: defaultHexCode || '#000000',
           imageUrl: payload.mainImage,
           sizes: [
             { size: '6', stock: 0 }
@@ -158,16 +142,16 @@ const createProduct = async (req, res) => {
       ];
     }
 
-    // Normalize additionalImages (accept comma-separated string)
-    if (typeof payload.additionalImages === 'string') {
-      payload.additionalImages = payload.additionalImages
-        .split(',')
-        .map(v => v.trim())
-        .filter(Boolean);
-    }
-
     const product = await Product.create(payload);
 
+    await recordChange(req, {
+      action: 'product.create',
+      targetModel: 'Product',
+      targetId: product._id,
+      after: product,
+      omit: AUDIT_OMIT
+    });
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -193,7 +177,7 @@ const createProduct = async (req, res) => {
 
 // @desc    Update product
 // @route   PATCH /api/products/:id
-// @access  Private/Admin
+// @access  Private/products:write
 // Contains CRUD - Update with $set and $inc
 const updateProduct = async (req, res) => {
   try {
@@ -209,13 +193,25 @@ const updateProduct = async (req, res) => {
       });
     }
 
-    // Apply updates safely (supports partial PATCH)
-    Object.keys(updates || {}).forEach((key) => {
+    const before = snapshot(product);
+
+    // Apply updates (partial PATCH). The schema whitelists the editable
+    // fields, so counters, ratings and reviews cannot be overwritten here.
+    Object.keys(updates).forEach((key) => {
       product[key] = updates[key];
     });
 
     await product.save();
 
+    await recordChange(req, {
+      action: 'product.update',
+      targetModel: 'Product',
+      targetId: product._id,
+      before,
+      after: product,
+      omit: AUDIT_OMIT
+    });
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
@@ -232,8 +228,8 @@ const updateProduct = async (req, res) => {
 
 // @desc    Update product stock
 // @route   PATCH /api/products/:id/stock
-// @access  Private/Admin
-// Shows Advanced Update with $inc operator
+// @access  Private/stock:write
+// Shows Advanced Update with $inc operator + arrayFilters (no load-modify-save)
 const updateStock = async (req, res) => {
   try {
     const { colorName, size, quantity, stock } = req.body;
@@ -247,16 +243,16 @@ const updateStock = async (req, res) => {
       });
     }
 
-    const colorIndex = product.colors.findIndex(c => c.name === colorName);
-    if (colorIndex === -1) {
+    const color = product.colors.find(c => c.name === colorName);
+    if (!color) {
       return res.status(404).json({
         success: false,
         message: 'Color not found'
       });
     }
 
-    const sizeIndex = product.colors[colorIndex].sizes.findIndex(s => s.size === String(size));
-    if (sizeIndex === -1) {
+    const sizeVariant = color.sizes.find(s => s.size === String(size));
+    if (!sizeVariant) {
       return res.status(404).json({
         success: false,
         message: 'Size not found'
@@ -265,32 +261,29 @@ const updateStock = async (req, res) => {
 
     // Two modes:
     // 1) Set absolute stock: { stock: 12 }
+    //    -> compare-and-swap $inc from the stock we just read
     // 2) Increment/decrement: { quantity: +3 } or { quantity: -2 }
-    if (stock !== undefined && stock !== null) {
-      const next = Number(stock);
-      if (Number.isNaN(next) || next < 0) {
-        return res.status(400).json({
+    //    -> conditional $inc, a decrement only matches while stock >= 2
+    let result;
+    if (stock !== undefined) {
+      result = await Product.adjustVariantStock(
+        product._id, colorName, size, stock - sizeVariant.stock,
+        { expectedStock: sizeVariant.stock }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
           success: false,
-          message: 'Stock must be a non-negative number'
+          message: 'Stock changed while updating. Please reload and try again.'
         });
       }
-      product.colors[colorIndex].sizes[sizeIndex].stock = next;
-    } else if (quantity !== undefined && quantity !== null) {
-      const delta = Number(quantity);
-      if (Number.isNaN(delta)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Quantity must be a number'
-        });
-      }
-      const next = product.colors[colorIndex].sizes[sizeIndex].stock + delta;
-      if (next < 0) {
+    } else if (quantity !== undefined) {
+      result = await Product.adjustVariantStock(product._id, colorName, size, quantity);
+      if (result.matchedCount === 0) {
         return res.status(400).json({
           success: false,
           message: 'Stock cannot be negative'
         });
       }
-      product.colors[colorIndex].sizes[sizeIndex].stock = next;
     } else {
       return res.status(400).json({
         success: false,
@@ -298,13 +291,28 @@ const updateStock = async (req, res) => {
       });
     }
 
-    // Use save() so totalStock pre-save hook recalculates
-    await product.save();
+    const updatedProduct = await Product.findById(product._id);
+
+    // Before is derived from our own delta, so a concurrent $inc on the
+    // same variant is not attributed to this request
+    const isSet = stock !== undefined;
+    const delta = isSet ? stock - sizeVariant.stock : quantity;
+    const after = updatedProduct.colors
+      .find(c => c.name === colorName)?.sizes
+      .find(s => s.size === String(size))?.stock;
+    await recordChange(req, {
+      action: 'product.stock',
+      targetModel: 'Product',
+      targetId: product._id,
+      before: { stock: { [colorName]: { [size]: after - delta } } },
+      after: { stock: { [colorName]: { [size]: after } } },
+      metadata: { mode: isSet ? 'set' : 'increment', delta }
+    });
 
     res.status(200).json({
       success: true,
       message: 'Stock updated successfully',
-      data: product
+      data: updatedProduct
     });
   } catch (error) {
     res.status(400).json({
@@ -318,7 +326,7 @@ const updateStock = async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
+// @access  Private/products:write
 // Shwos CRUD - Delete
 const deleteProduct = async (req, res) => {
   try {
@@ -331,6 +339,15 @@ const deleteProduct = async (req, res) => {
       });
     }
 
+    await recordChange(req, {
+      action: 'product.delete',
+      targetModel: 'Product',
+      targetId: product._id,
+      before: product,
+      omit: AUDIT_OMIT,
+      metadata: { name: product.name }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Product deleted successfully',
@@ -354,13 +371,6 @@ const addReview = async (req, res) => {
     const { rating, comment } = req.body;
     const productId = req.params.id;
 
-    if (!rating || !comment) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide rating and comment'
-      });
-    }
-
     const product = await Product.findById(productId);
 
     if (!product) {
@@ -441,6 +451,7 @@ const getFeaturedProducts = async (req, res) => {
 
 module.exports = {
   getProducts,
+  suggestProducts,
   getProductById,
   createProduct,
   updateProduct,
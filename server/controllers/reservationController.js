@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Product = require('../models/Product');
+const httpError = require('../utils/httpError');
+
+// How long a checkout hold lasts before it is released automatically
+const HOLD_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// @desc    Place holds on the cart items when checkout starts
+// @route   POST /api/reservations
+// @access  Private
+// Replaces any previous holds of the user. Runs in a transaction that also
+// writes the product, so two concurrent holds on the same product conflict
+// and are retried instead of both passing the availability check.
+const holdCheckoutItems = async (req, res) => {
+  const { items } = req.body;
+
+  const session = await mongoose.startSession();
+
+  try {
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    let holds;
+
+    await session.withTransaction(async () => {
+      await Reservation.deleteMany({ user: req.user._id }, { session });
+
+      // Repeated lines for the same variant are held (and checked) as one
+      const lines = new Map();
+      for (const item of items) {
+        const key = `${item.product}|${item.color}|${item.size}`;
+        const line = lines.get(key);
+        if (line) {
+          line.quantity += item.quantity;
+        } else {
+          lines.set(key, { ...item });
+        }
+      }
+
+      const docs = [];
+      for (const item of lines.values()) {
+        const product = await Product.findById(item.product).session(session);
+
+        if (!product) {
+          throw httpError(404, `Product ${item.product} not found`);
+        }
+
+        const color = product.colors.find(c => c.name === item.color);
+        const sizeVariant = color && color.sizes.find(s => s.size === item.size);
+        if (!sizeVariant) {
+          throw httpError(400, `${product.name} is not available in ${item.color}, size ${item.size}`);
+        }
+
+        // Touch the product so concurrent holds on it write-conflict
+        await Product.updateOne(
+          { _id: product._id },
+          { $currentDate: { updatedAt: true } },
+          { session }
+        );
+
+        const held = await Reservation.getHeldQuantities(product._id, {
+          session,
+          excludeUser: req.user._id
+        });
+        const available = sizeVariant.stock - (held.get(Reservation.holdKey(item.color, item.size)) || 0);
+
+        if (available < item.quantity) {
+          throw httpError(409, `Insufficient stock for ${product.name} (${item.color}, size ${item.size}). Only ${Math.max(0, available)} available.`);
+        }
+
+        docs.push({
+          user: req.user._id,
+          product: product._id,
+          color: item.color,
+          size: item.size,
+          quantity: item.quantity,
+          expiresAt
+        });
+      }
+
+      holds = await Reservation.insertMany(docs, { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Items reserved for ${HOLD_MINUTES} minutes`,
+      expiresAt,
+      data: holds
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error reserving items',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get current user's active holds
+// @route   GET /api/reservations/me
+// @access  Private
+const getMyReservations = async (req, res) => {
+  try {
+    const holds = await Reservation.find({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() }
+    }).populate('product', 'name mainImage');
+
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reservations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Release current user's holds (checkout abandoned)
+// @route   DELETE /api/reservations
+// @access  Private
+const releaseReservations = async (req, res) => {
+  try {
+    const result = await Reservation.deleteMany({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Reservations released',
+      released: result.deletedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing reservations',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  holdCheckoutItems,
+  getMyReservations,
+  releaseReservations
+};
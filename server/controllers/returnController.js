@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { refundOrderPayment } = require('../services/paymentService');
+const { snapshot, recordChange } = require('../services/auditService');
+
+// Load the order and one of its returns, or answer 404
+const findReturn = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  const rma = order && order.returns.id(req.params.returnId);
+
+  if (!rma) {
+    res.status(404).json({
+      success: false,
+      message: order ? 'Return not found' : 'Order not found'
+    });
+    return {};
+  }
+  return { order, rma };
+};
+
+// Audit a staff action on a return (diff of the order, history left out)
+const auditReturn = (req, action, before, order) =>
+  recordChange(req, {
+    action,
+    targetModel: 'Order',
+    targetId: order._id,
+    before,
+    after: order,
+    omit: ['statusHistory'],
+    metadata: { returnId: req.params.returnId }
+  });
+
+// Answer 409 unless the return is in one of the expected states
+const requireReturnStatus = (res, rma, allowed) => {
+  if (allowed.includes(rma.status)) return true;
+  res.status(409).json({
+    success: false,
+    message: `Return is ${rma.status}; expected ${allowed.join(' or ')}`
+  });
+  return false;
+};
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/orders/:id/returns
+// @access  Private
+// Body: { items: [{ product, color, size, quantity, reason }], note? }
+// The save is versioned: a concurrent request on the same order fails with
+// 409 instead of both passing the returnable-quantity check.
+const requestReturn = async (req, res) => {
+  try {
+    const { items, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return this order'
+      });
+    }
+
+    if (!order.canBeReturned) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders within the return window can be returned'
+      });
+    }
+
+    // The same line may appear more than once; the limit covers them together
+    const requested = new Map();
+    const returnItems = [];
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      const line = order.items.find(orderItem =>
+        orderItem.product.toString() === String(item.product) &&
+        orderItem.color === item.color &&
+        orderItem.size === item.size);
+
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${item.product} (${item.color}, size ${item.size}) is not part of this order`
+        });
+      }
+
+      const lineKey = `${line.product}|${line.color}|${line.size}`;
+      const alreadyRequested = requested.get(lineKey) || 0;
+      const returnable = order.getReturnableQuantity(line.product, line.color, line.size);
+      if (!Number.isInteger(quantity) || quantity < 1 || alreadyRequested + quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${returnable} of ${line.productName} (${line.color}, size ${line.size}) can be returned`
+        });
+      }
+      requested.set(lineKey, alreadyRequested + quantity);
+
+      returnItems.push({
+        product: line.product,
+        productName: line.productName,
+        color: line.color,
+        size: line.size,
+        quantity,
+        reason: item.reason
+      });
+    }
+
+    order.returns.push({
+      items: returnItems,
+      customerNote: note,
+      eligibleRefund: order.getRefundValue(returnItems)
+    });
+    order.increment();
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: order
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The order changed while the return was requested; please try again'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting return',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all return requests (Staff)
+// @route   GET /api/orders/returns
+// @access  Private/orders:read
+// One row per return, newest first; ?status=Requested filters
+const getAllReturns = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const pipeline = [
+      { $match: { 'returns.0': { $exists: true } } },
+      { $unwind: '$returns' }
+    ];
+    if (status) {
+      pipeline.push({ $match: { 'returns.status': status } });
+    }
+    pipeline.push(
+      { $sort: { 'returns.requestedAt': -1 } },
+      {
+        $project: {
+          _id: '$returns._id',
+          orderId: '$_id',
+          userName: 1,
+          userEmail: 1,
+          orderTotal: '$totalAmount',
+          paymentStatus: 1,
+          return: '$returns'
+        }
+      }
+    );
+
+    const returns = await Order.aggregate(pipeline);
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching returns',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve a return request (Staff)
+// @route   PATCH /api/orders/:id/returns/:returnId/approve
+// @access  Private/returns:review
+const approveReturn = async (req, res) => {
+  try {
+    const { order, rma } = await findReturn(req, res);
+    if (!rma || !requireReturnStatus(res, rma, ['Requested'])) return;
+
+    const before = snapshot(order);
+    rma.status = 'Approved';
+    rma.adminNote = req.body.note || rma.adminNote;
+    rma.resolvedAt = new Date();
+    await order.save();
+    await auditReturn(req, 'return.approve', before, order);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return approved',
+      data: order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving return',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject a return request (Staff)
+// @route   PATCH /api/orders/:id/returns/:returnId/reject
+// @access  Private/returns:review
+const rejectReturn = async (req, res) => {
+  try {
+    const { order, rma } = await findReturn(req, res);
+    if (!rma || !requireReturnStatus(res, rma, ['Requested'])) return;
+
+    const before = snapshot(order);
+    rma.status = 'Rejected';
+    rma.adminNote = req.body.note || rma.adminNote;
+    rma.resolvedAt = new Date();
+    await order.save();
+    await auditReturn(req, 'return.reject', before, order);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return rejected',
+      data: order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting return',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark returned goods as received and restock them (Staff)
+// @route   PATCH /api/orders/:id/returns/:returnId/receive
+// @access  Private/returns:receive
+// Restock and status change commit together, so a retry cannot restock twice.
+// Items whose color/size no longer exists are marked restocked: false.
+const receiveReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let order;
+    let before;
+    let notFound = false;
+    let wrongStatus = null;
+
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+      const rma = order && order.returns.id(req.params.returnId);
+      if (!rma) {
+        notFound = true;
+        return;
+      }
+      if (rma.status !== 'Approved') {
+        wrongStatus = rma.status;
+        return;
+      }
+      before = snapshot(order);
+
+      // Back into the right color/size (also gives the units back from soldCount)
+      for (const item of rma.items) {
+        const result = await Product.adjustVariantStock(
+          item.product, item.color, item.size, item.quantity,
+          { session, countAsSold: true }
+        );
+        item.restocked = result.modifiedCount > 0;
+      }
+
+      rma.status = 'Received';
+      rma.adminNote = req.body.note || rma.adminNote;
+      rma.receivedAt = new Date();
+      await order.save({ session });
+    });
+
+    if (notFound) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+    if (wrongStatus) {
+      return res.status(409).json({
+        success: false,
+        message: `Return is ${wrongStatus}; expected Approved`
+      });
+    }
+
+    await auditReturn(req, 'return.receive', before, order);
+
+    const notRestocked = order.returns.id(req.params.returnId).items.filter(item => !item.restocked);
+
+    res.status(200).json({
+      success: true,
+      message: notRestocked.length
+        ? `Return received; ${notRestocked.length} item(s) no longer exist and were not restocked`
+        : 'Return received and restocked',
+      notRestocked,
+      data: order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error receiving return',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Refund a received return, fully or partially (Staff)
+// @route   POST /api/orders/:id/returns/:returnId/refund
+// @access  Private/orders:refund
+// Body: { amount? (defaults to the return's eligibleRefund), note? }
+// The return is claimed (Received -> Refunding) before the provider is
+// called, so two staff refunding it at once cannot both pay out.
+const refundReturn = async (req, res) => {
+  try {
+    const { order, rma } = await findReturn(req, res);
+    if (!rma || !requireReturnStatus(res, rma, ['Received'])) return;
+
+    const amount = req.body.amount === undefined ? rma.eligibleRefund : Number(req.body.amount);
+    if (!(amount > 0) || amount > rma.eligibleRefund) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${rma.eligibleRefund.toFixed(2)}`
+      });
+    }
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, returns: { $elemMatch: { _id: rma._id, status: 'Received' } } },
+      { $set: { 'returns.$.status': 'Refunding' } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Return is already being refunded'
+      });
+    }
+
+    // A provider failure hands the claim back
+    const before = snapshot(order);
+    try {
+      await refundOrderPayment(order, amount, `Refund for return ${rma._id}`);
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, returns: { $elemMatch: { _id: rma._id, status: 'Refunding' } } },
+        { $set: { 'returns.$.status': 'Received' } }
+      );
+      throw error;
+    }
+
+    rma.status = 'Refunded';
+    rma.refundAmount = amount;
+    rma.adminNote = req.body.note || rma.adminNote;
+    rma.refundedAt = new Date();
+    await order.save();
+    await auditReturn(req, 'return.refund', before, order);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return refunded',
+      data: order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error refunding return',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  requestReturn,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+};
@@ -0,0 +1,43 @@
+const { buildQuote } = require('../services/pricingService');
+const { quoteShipping } = require('../services/shippingService');
+
+// @desc    Quote every shipping method for a cart and destination
+// @route   POST /api/shipping/quote
+// @access  Public
+// Body: { items: [{ product, color, size, quantity }], shippingAddress, couponCode? }
+const getShippingQuote = async (req, res) => {
+  try {
+    const { items, shippingAddress, couponCode } = req.body;
+
+    // Price the lines first: free-shipping thresholds use the discounted subtotal
+    const quote = await buildQuote({ items, shippingAddress, couponCode });
+
+    const options = quoteShipping({
+      lines: quote.lines,
+      address: shippingAddress,
+      subtotal: quote.subtotal - quote.discount
+    });
+
+    res.status(200).json({
+      success: true,
+      count: options.length,
+      data: options
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error quoting shipping',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getShippingQuote
+};
@@ -0,0 +1,187 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const {
+  isRequiredFor,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+
+// @desc    Start two-factor setup (new secret + otpauth:// URI for a QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm setup with the first code; returns the backup codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const backupCodes = await completeEnrollment(req.user._id, code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await AuditLog.record({
+      actor: req.user,
+      action: 'auth.2fa_enabled',
+      targetModel: 'User',
+      targetId: req.user._id,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+// Body: { password, code } or { password, backupCode }.
+// Refused for admins while REQUIRE_ADMIN_2FA is on.
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isRequiredFor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, backupCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await disableTwoFactor(user._id);
+
+    await AuditLog.record({
+      actor: req.user,
+      action: 'auth.2fa_disabled',
+      targetModel: 'User',
+      targetId: req.user._id,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the backup codes (the old ones stop working)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+// Body: { code } - a current authenticator code
+const regenerateTwoFactorBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating backup codes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes
+};
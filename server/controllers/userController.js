@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { revokeAllSessions } = require('../services/sessionService');
+const escapeRegex = require('../utils/escapeRegex');
+
+// $lookup stages adding orderCount and lifetimeSpend (cancelled orders
+// excluded, refunds subtracted) to each user
+const orderStatsStages = [
+  {
+    $lookup: {
+      from: 'orders',
+      let: { userId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$user', '$$userId'] }, orderStatus: { $ne: 'Cancelled' } } },
+        {
+          $group: {
+            _id: null,
+            orderCount: { $sum: 1 },
+            lifetimeSpend: {
+              $sum: { $subtract: ['$totalAmount', { $ifNull: ['$payment.refundedAmount', 0] }] }
+            },
+            lastOrderAt: { $max: '$createdAt' }
+          }
+        }
+      ],
+      as: 'orderStats'
+    }
+  },
+  { $unwind: { path: '$orderStats', preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      orderCount: { $ifNull: ['$orderStats.orderCount', 0] },
+      lifetimeSpend: { $round: [{ $ifNull: ['$orderStats.lifetimeSpend', 0] }, 2] },
+      lastOrderAt: '$orderStats.lastOrderAt',
+      isLocked: { $gt: ['$lockUntil', '$$NOW'] }
+    }
+  },
+  // Allow-list: aggregation ignores select: false, so anything secret
+  // (password, 2FA secrets and backup codes) must stay out of this list
+  {
+    $project: {
+      name: 1,
+      email: 1,
+      role: 1,
+      address: 1,
+      addresses: 1,
+      phoneNumber: 1,
+      isActive: 1,
+      emailVerified: 1,
+      emailVerifiedAt: 1,
+      'twoFactor.enabled': 1,
+      'twoFactor.enabledAt': 1,
+      lastLogin: 1,
+      deletedAt: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      orderCount: 1,
+      lifetimeSpend: 1,
+      lastOrderAt: 1,
+      isLocked: 1
+    }
+  }
+];
+
+// @desc    Get all users with order count and lifetime spend (Admin)
+// @route   GET /api/users
+// @access  Private/users:manage
+// Query: search (name/email), role, isActive, page, limit
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, isActive, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(1, Number(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, Number(limit) || 20));
+
+    const match = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      match.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) match.role = role;
+    if (isActive !== undefined) match.isActive = isActive;
+
+    const [result] = await User.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $facet: {
+          data: [
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+            ...orderStatsStages
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize),
+      data: result.data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one user with order stats (Admin)
+// @route   GET /api/users/:id
+// @access  Private/users:manage
+const getUserById = async (req, res) => {
+  try {
+    const [user] = await User.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
+      ...orderStatsStages
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a user's role or active flag (Admin)
+// @route   PATCH /api/users/:id
+// @access  Private/users:manage
+// Body: { role?, isActive? }. Deactivating logs the user out everywhere.
+// Admins cannot demote or deactivate themselves.
+const updateUser = async (req, res) => {
+  try {
+    const { role, isActive } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or status'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = { role: user.role, isActive: user.isActive };
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+
+    await user.save();
+
+    if (before.isActive && !user.isActive) {
+      await revokeAllSessions(user._id);
+    }
+
+    await AuditLog.record({
+      actor: req.user,
+      action: 'user.update',
+      targetModel: 'User',
+      targetId: user._id,
+      metadata: { email: user.email, before, after: { role: user.role, isActive: user.isActive } },
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: error.message
+    });
+  }
+};
+
+
+// @desc    Unlock a user locked out by failed logins (Admin)
+// @route   PATCH /api/users/:id/unlock
+// @access  Private/users:manage
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    ).select('+lockUntil');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await AuditLog.record({
+      actor: req.user,
+      action: 'user.unlock',
+      targetModel: 'User',
+      targetId: user._id,
+      metadata: { email: user.email, wasLockedUntil: user.lockUntil || null },
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUser,
+  unlockUser
+};
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { hasPermission } = require('../config/permissions');
+const { isRequiredFor } = require('../services/twoFactorService');
 
 // MIDDLEWARE: Verify JWT Token
 // Protects routes that require authentication
@@ -24,6 +27,16 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // The token's session must still be active (logout revokes it)
+      const session = decoded.sid && await Session.findById(decoded.sid).select('revokedAt expiresAt');
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please log in again.'
+        });
+      }
+      req.sessionId = session._id;
+
       // Get user from database (excluding password)
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -57,22 +70,11 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Middleware Authorize Admin Role
-// Use after protect middleware
-const authorizeAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
-  }
-};
-
-// Middleware: Authorize Specific Roles
-// Flexible role authorization
-const authorizeRoles = (...roles) => {
+// Middleware: Require Capabilities
+// Use after protect middleware; the role -> capability table lives in
+// config/permissions.js. Every listed capability is required.
+// Under REQUIRE_ADMIN_2FA, admins without 2FA get nothing until they enroll.
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -81,10 +83,18 @@ const authorizeRoles = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (isRequiredFor(req.user) && !req.user.twoFactor.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts. Enable it in your profile.',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    if (!hasPermission(req.user.role, ...permissions)) {
       return res.status(403).json({
         success: false,
-        message: `Role '${req.user.role}' is not authorized to access this resource`
+        message: `Access denied. Requires ${permissions.join(', ')}.`
       });
     }
 
@@ -92,4 +102,4 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-module.exports = { protect, authorizeAdmin, authorizeRoles };
+module.exports = { protect, requirePermission };
@@ -0,0 +1,39 @@
+// Middleware: Request Validation
+// Runs an express-validator schema (see server/validators) before the
+// controller. Every failing field is reported in one shape:
+//   422 { success: false, message, errors: [{ field, message }] }
+// The body is whitelisted: keys the schema does not declare are dropped,
+// so a controller never sees fields it did not ask for.
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+
+// Fields without an `in` are read from the body
+const validate = (schema) => {
+  const chains = checkSchema(schema, ['body']);
+
+  return async (req, res, next) => {
+    try {
+      await chains.run(req);
+
+      const result = validationResult(req);
+      if (!result.isEmpty()) {
+        const errors = result.array({ onlyFirstError: true }).map(error => ({
+          field: error.path,
+          message: error.msg
+        }));
+
+        return res.status(422).json({
+          success: false,
+          message: errors.map(error => error.message).join(', '),
+          errors
+        });
+      }
+
+      req.body = matchedData(req, { locations: ['body'] });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { validate };
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// MAIN SCHEMA: AuditLog
+// Append-only record of security events and admin changes:
+// who (actor) did what (action) to which document (targetModel/targetId).
+// Advanced Features:
+// 1. Reference to User (actor), denormalized actor email
+// 2. Field-level before/after diff (services/auditService) plus Mixed metadata
+// 3. Indexes for filtering by target, actor and action
+// 4. Append-only: update and delete middleware refuses to touch entries
+//    (account deletion may only scrub the email, see anonymizeUser)
+const auditLogSchema = new mongoose.Schema({
+  // null for system events (e.g. an automatic lockout)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String
+  },
+  // e.g. 'auth.lockout', 'user.unlock'
+  action: {
+    type: String,
+    required: true
+  },
+  targetModel: {
+    type: String
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // [{ field: 'price', before: 100, after: 90 }] (dot paths, see auditService)
+  changes: {
+    type: [{
+      _id: false,
+      field: { type: String, required: true },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    default: undefined
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// INDEXES
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// APPEND-ONLY GUARDS
+// Entries are written once; nothing in the app may edit or remove them
+// (expiry, if ever needed, belongs in a TTL index, not in app code)
+const refuseChange = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], refuseChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+// STATIC METHODS
+
+// Append an entry; actor is the acting user document (or null)
+auditLogSchema.statics.record = function({ actor = null, action, targetModel, targetId, changes, metadata, ip }) {
+  return this.create({
+    actor: actor ? actor._id : null,
+    actorEmail: actor ? actor.email : undefined,
+    action,
+    targetModel,
+    targetId,
+    changes,
+    metadata,
+    ip
+  });
+};
+
+// Account deletion: replace the user's email in their entries (as actor,
+// and in the metadata of entries about them). The one change allowed:
+// it goes to the collection directly, past the guards above, and touches
+// nothing but the email copies.
+auditLogSchema.statics.anonymizeUser = async function(userId, email, { session } = {}) {
+  await this.collection.updateMany(
+    { actor: userId },
+    { $set: { actorEmail: email } },
+    { session }
+  );
+  await this.collection.updateMany(
+    { targetModel: 'User', targetId: userId, 'metadata.email': { $exists: true } },
+    { $set: { 'metadata.email': email } },
+    { session }
+  );
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
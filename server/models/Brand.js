@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// MAIN SCHEMA: Brand
+// The brands products can be filed under, managed in the admin.
+// Products store the brand name (denormalized, like review userName);
+// a rename is cascaded to them by services/taxonomyService.
+// Advanced Features:
+// 1. Unique name and URL slug (slug derived from the name)
+// 2. Inactive brands stay on their products but cannot be picked for new ones
+const brandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Brand name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Brand name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  logoUrl: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// PRE-VALIDATE HOOKS
+// Slug follows the name unless one was given explicitly
+brandSchema.pre('validate', function(next) {
+  if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Brand', brandSchema);
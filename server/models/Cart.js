@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Embedded Schema: Cart Item
+// Keyed by product + color + size (same key the client cart uses)
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  color: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    max: [99, 'Quantity cannot exceed 99']
+  },
+  // Last price seen; always refreshed from Product.finalPrice, never trusted
+  price: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// MAIN SCHEMA: Cart
+// One persistent cart per user, so it follows them across devices and
+// abandoned carts are visible on the server.
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: {
+    type: [cartItemSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// INDEXES
+
+// Abandoned cart reports (carts not touched for a while)
+cartSchema.index({ updatedAt: -1 });
+
+// VIRTUAL PROPERTIES
+
+cartSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+cartSchema.virtual('subtotal').get(function() {
+  const total = this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return Math.round(total * 100) / 100;
+});
+
+// STATIC METHODS
+
+// Get the user's cart, creating an empty one on first use
+// (one upsert, so two first requests cannot both insert)
+cartSchema.statics.findOrCreate = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// INSTANCE METHODS
+
+// Find an item by its product/color/size key
+// (item.product._id works for both an ObjectId and a populated product)
+cartSchema.methods.findItem = function(productId, color, size) {
+  return this.items.find(item =>
+    item.product._id.toString() === productId.toString() &&
+    item.color === color &&
+    item.size === String(size)
+  );
+};
+
+// Add quantity to an item (or push a new one)
+cartSchema.methods.addItem = function(productId, color, size, quantity) {
+  const existing = this.findItem(productId, color, size);
+  if (existing) {
+    existing.quantity = Math.min(99, existing.quantity + quantity);
+  } else {
+    this.items.push({ product: productId, color, size: String(size), quantity: Math.min(99, quantity) });
+  }
+};
+
+// Remove an item by key
+cartSchema.methods.removeItem = function(productId, color, size) {
+  this.items = this.items.filter(item =>
+    !(item.product._id.toString() === productId.toString() &&
+      item.color === color &&
+      item.size === String(size))
+  );
+};
+
+// Re-price every item from the product's current finalPrice and drop
+// items whose product was deleted or deactivated. Leaves items.product populated.
+cartSchema.methods.refreshPrices = async function() {
+  const productFields = 'name brand category mainImage price discountPercentage colors isActive';
+  await this.populate('items.product', productFields);
+
+  const liveItems = this.items.filter(item => item.product && item.product.isActive);
+  if (liveItems.length !== this.items.length) {
+    this.items = liveItems;
+  }
+  this.items.forEach(item => {
+    item.price = Math.round(item.product.finalPrice * 100) / 100;
+  });
+
+  if (this.isModified()) {
+    await this.save();
+    await this.populate('items.product', productFields);
+  }
+  return this;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
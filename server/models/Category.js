@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// Embedded Schema: Ancestor (materialized path entry)
+const ancestorSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  name: { type: String, required: true },
+  slug: { type: String, required: true }
+}, { _id: false });
+
+// MAIN SCHEMA: Category
+// Hierarchical product categories (Running > Trail). Products store the
+// category name; filtering by a category also matches its subcategories.
+// Advanced Features:
+// 1. Parent reference plus a denormalized ancestors array, so a subtree is
+//    one indexed query ({ 'ancestors._id': id }) instead of a recursive walk
+// 2. Unique name and URL slug (slug derived from the name)
+// 3. Renames and moves are cascaded by services/taxonomyService
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  imageUrl: {
+    type: String,
+    trim: true
+  },
+  // null for a top-level category
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Root first: [{ _id, name, slug }] of every category above this one
+  ancestors: {
+    type: [ancestorSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// INDEXES
+
+// Subtree lookups
+categorySchema.index({ 'ancestors._id': 1 });
+
+// Children of a category
+categorySchema.index({ parent: 1, name: 1 });
+
+// VIRTUAL PROPERTIES
+
+// "Running > Trail"
+categorySchema.virtual('path').get(function() {
+  return [...this.ancestors.map(ancestor => ancestor.name), this.name].join(' > ');
+});
+
+// 0 for top-level categories
+categorySchema.virtual('depth').get(function() {
+  return this.ancestors.length;
+});
+
+// PRE-VALIDATE HOOKS
+// Slug follows the name unless one was given explicitly
+categorySchema.pre('validate', function(next) {
+  if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Ancestors follow the parent; a category cannot move under itself
+categorySchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('parent')) return;
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent)
+    .select('name slug ancestors')
+    .session(this.$session());
+
+  if (!parent) {
+    this.invalidate('parent', 'Parent category not found');
+    return;
+  }
+  if (parent._id.equals(this._id) || parent.ancestors.some(ancestor => ancestor._id.equals(this._id))) {
+    this.invalidate('parent', 'A category cannot be moved under itself or one of its subcategories');
+    return;
+  }
+
+  this.ancestors = [
+    ...parent.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    { _id: parent._id, name: parent.name, slug: parent.slug }
+  ];
+});
+
+// STATIC METHODS
+
+// Names of one or more categories and every category below them (for
+// product filters). Unknown names resolve to themselves, so the filter
+// simply matches nothing for them.
+categorySchema.statics.subtreeNames = async function(names) {
+  const list = [].concat(names);
+  const categories = await this.find({ name: { $in: list } }).select('_id').lean();
+  const descendants = categories.length > 0
+    ? await this.find({ 'ancestors._id': { $in: categories.map(category => category._id) } }).select('name').lean()
+    : [];
+  return [...new Set([...list, ...descendants.map(descendant => descendant.name)])];
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+// MAIN SCHEMA: Coupon
+// Promo codes applied at checkout
+// Advanced Features:
+// 1. Percent or fixed discounts with brand/category scope
+// 2. Validity window and minimum subtotal
+// 3. Global and per-user usage limits, redeemed with one atomic update
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code may only contain letters, digits, - and _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  discountType: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['percent', 'fixed'],
+      message: 'Discount type must be percent or fixed'
+    }
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percent' || value <= 100;
+      },
+      message: 'Percent discount cannot exceed 100'
+    }
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Scope: empty array = applies to every brand / category
+  brands: {
+    type: [String],
+    default: []
+  },
+  categories: {
+    type: [String],
+    default: []
+  },
+  // Usage limits: null = unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // One entry per redemption (used for the per-user limit)
+  usedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: [],
+    select: false
+  },
+  // Validity window
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// INDEXES
+
+// Listing active coupons in the admin
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// STATIC METHODS
+
+// Find a coupon by the code the customer typed
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() }).select('+usedBy');
+};
+
+// Redeem atomically: the guards and the counters are in ONE updateOne,
+// so two checkouts can never both use the last redemption.
+// Resolves to true if the coupon was redeemed.
+couponSchema.statics.redeem = async function(couponId, userId, session) {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        {
+          $or: [
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  { $size: { $filter: { input: '$usedBy', cond: { $eq: ['$$this', userObjectId] } } } },
+                  '$perUserLimit'
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    },
+    { $inc: { usedCount: 1 }, $push: { usedBy: userObjectId } },
+    { session }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// INSTANCE METHODS
+
+// Whether the coupon's brand/category scope covers a line ({ brand, category })
+couponSchema.methods.appliesTo = function(line) {
+  return (this.brands.length === 0 || this.brands.includes(line.brand)) &&
+    (this.categories.length === 0 || this.categories.includes(line.category));
+};
+
+// Check the coupon against a set of priced lines ({ brand, category, subtotal })
+// Returns { valid, message, discount, eligibleSubtotal }
+couponSchema.methods.evaluate = function(lines, userId) {
+  const invalid = (message) => ({ valid: false, message, discount: 0, eligibleSubtotal: 0 });
+  const now = new Date();
+
+  if (!this.isActive) return invalid('This coupon is no longer active');
+  if (this.startsAt && this.startsAt > now) return invalid('This coupon is not valid yet');
+  if (this.expiresAt && this.expiresAt < now) return invalid('This coupon has expired');
+
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return invalid('This coupon has reached its usage limit');
+  }
+
+  if (this.perUserLimit !== null && userId && this.usedBy) {
+    const userUses = this.usedBy.filter(id => id.toString() === userId.toString()).length;
+    if (userUses >= this.perUserLimit) {
+      return invalid('You have already used this coupon');
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  if (subtotal < this.minSubtotal) {
+    return invalid(`A minimum subtotal of $${this.minSubtotal.toFixed(2)} is required for this coupon`);
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => this.appliesTo(line))
+    .reduce((sum, line) => sum + line.subtotal, 0);
+
+  if (eligibleSubtotal === 0) {
+    return invalid('This coupon does not apply to any item in your cart');
+  }
+
+  const rawDiscount = this.discountType === 'percent'
+    ? eligibleSubtotal * (this.discountValue / 100)
+    : Math.min(this.discountValue, eligibleSubtotal);
+
+  return {
+    valid: true,
+    message: 'Coupon applied',
+    discount: Math.round(rawDiscount * 100) / 100,
+    eligibleSubtotal
+  };
+};
+
+// Never expose who redeemed a coupon
+couponSchema.methods.toJSON = function() {
+  const coupon = this.toObject();
+  delete coupon.usedBy;
+  delete coupon.__v;
+  return coupon;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// MAIN SCHEMA: LoginAttempt
+// Failed login counter per client IP for the current window
+// (LOGIN_IP_WINDOW_MINUTES). Account-level counters live on User.
+// Advanced Features:
+// 1. Pipeline upsert - concurrent failures are all counted
+// 2. TTL index - the window resets when MongoDB removes the document
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Set when the IP crosses the limit (the lockout is audited once)
+  blockedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+
+loginAttemptSchema.index({ ip: 1 }, { unique: true });
+
+// TTL index: the counting window ends when the document expires
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// STATIC METHODS
+
+// Current failure count for an IP (0 when no window is open)
+loginAttemptSchema.statics.getCount = async function(ip) {
+  const attempt = await this.findOne({ ip, expiresAt: { $gt: new Date() } }).select('count');
+  return attempt ? attempt.count : 0;
+};
+
+// Count one failure; opens a new window if the last one has ended
+// (or was never opened). One pipeline upsert, so concurrent failures from
+// an IP neither race on the unique ip key nor lose a count.
+// Resolves to the updated document
+loginAttemptSchema.statics.registerFailure = function(ip, windowMinutes) {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + windowMinutes * 60 * 1000);
+
+  // Window over but not yet removed by the TTL monitor: start again
+  const windowOver = { $or: [{ $not: ['$expiresAt'] }, { $lte: ['$expiresAt', now] }] };
+
+  return this.findOneAndUpdate(
+    { ip },
+    [{
+      $set: {
+        count: { $cond: [windowOver, 1, { $add: ['$count', 1] }] },
+        blockedAt: { $cond: [windowOver, '$$REMOVE', '$blockedAt'] },
+        expiresAt: { $cond: [windowOver, windowEnd, '$expiresAt'] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
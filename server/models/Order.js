@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { hasPermission } = require('../config/permissions');
 
 // Embedded Schema Order Item
 // Demonstrates Embedded Documents with Product References
@@ -22,6 +24,9 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  category: {
+    type: String
+  },
   color: {
     type: String,
     required: true
@@ -44,6 +49,27 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  // Share of the order discount taken off this line (services/taxService);
+  // unset on orders placed before it was stored
+  discountAmount: {
+    type: Number,
+    min: 0
+  },
+  // Tax breakdown for this line (services/taxService)
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxExempt: {
+    type: Boolean,
+    default: false
   }
 }, { _id: false });
 
@@ -58,6 +84,59 @@ const shippingAddressSchema = new mongoose.Schema({
   phoneNumber: { type: String, required: true, trim: true }
 }, { _id: false });
 
+// Embedded Schema: Return (RMA)
+// Requested -> Approved | Rejected; Approved -> Received (restocked) -> Refunded
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String, required: true },
+  color: { type: String, required: true },
+  size: { type: String, required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    trim: true,
+    maxlength: 300
+  },
+  // Set when received: false if the color/size no longer exists
+  restocked: { type: Boolean }
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: function(arr) {
+        return arr && arr.length > 0;
+      },
+      message: 'Return must contain at least one item'
+    }
+  },
+  status: {
+    type: String,
+    // Refunding: claimed by a refund whose provider call is in flight
+    enum: ['Requested', 'Approved', 'Rejected', 'Received', 'Refunding', 'Refunded'],
+    default: 'Requested'
+  },
+  customerNote: { type: String, trim: true, maxlength: 500 },
+  adminNote: { type: String, trim: true, maxlength: 500 },
+  // Amount the returned lines are worth (after discount, with tax)
+  eligibleRefund: { type: Number, default: 0, min: 0 },
+  refundAmount: { type: Number, default: 0, min: 0 },
+  requestedAt: { type: Date, default: Date.now },
+  resolvedAt: { type: Date },
+  receivedAt: { type: Date },
+  refundedAt: { type: Date }
+});
+
 // Main schema: Order
 // Advanced Features :
 // 1. References to User collection
@@ -104,16 +183,40 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Discount line (coupon applied at checkout)
+  coupon: {
+    code: { type: String, uppercase: true, trim: true },
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    description: { type: String },
+    amount: { type: Number, min: 0 }
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   tax: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Where the tax rate came from, e.g. 'USA-CA'
+  taxJurisdiction: {
+    type: String
+  },
   shippingCost: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Selected shipping method (config/shippingMethods)
+  shippingMethod: {
+    code: { type: String, default: 'standard' },
+    name: { type: String, default: 'Standard' },
+    zone: { type: String },
+    minDays: { type: Number },
+    maxDays: { type: Number }
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -125,11 +228,23 @@ const orderSchema = new mongoose.Schema({
     required: true,
     enum: ['Credit Card', 'Debit Card', 'PayPal', 'Cash on Delivery']
   },
+  // Pending -> Authorized -> Completed (captured) -> Partially Refunded / Refunded
+  // Authorized -> Voided; Pending -> Failed
   paymentStatus: {
     type: String,
-    enum: ['Pending', 'Completed', 'Failed', 'Refunded'],
+    enum: ['Pending', 'Authorized', 'Completed', 'Failed', 'Refunded', 'Partially Refunded', 'Voided'],
     default: 'Pending'
   },
+  // Gateway transaction (services/payments)
+  payment: {
+    provider: { type: String },
+    transactionId: { type: String },
+    authorizedAmount: { type: Number, default: 0, min: 0 },
+    capturedAmount: { type: Number, default: 0, min: 0 },
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    // Webhook event ids already applied (makes redelivery a no-op)
+    processedEvents: { type: [String], select: false }
+  },
   // Order status tracking
   orderStatus: {
     type: String,
@@ -137,11 +252,15 @@ const orderSchema = new mongoose.Schema({
     default: 'Pending'
   },
   // Status timestamps
+  // Order and payment status changes
   statusHistory: [{
+    type: { type: String, enum: ['order', 'payment'], default: 'order' },
     status: String,
     timestamp: { type: Date, default: Date.now },
     note: String
   }],
+  // Return requests (delivered orders only)
+  returns: [returnSchema],
   // Tracking information
   trackingNumber: {
     type: String,
@@ -182,10 +301,39 @@ orderSchema.index({ orderStatus: 1, createdAt: -1 });
 // Index on payment status
 orderSchema.index({ paymentStatus: 1 });
 
+// Webhook lookup by gateway transaction
+orderSchema.index({ 'payment.transactionId': 1 }, { sparse: true });
+
 // Compound index for analytics
 orderSchema.index({ createdAt: -1, orderStatus: 1 });
 
 
+// ORDER STATUS STATE MACHINE
+// status -> { next status: { permission needed, owner, guard } }
+// owner: the order's customer may also make the move without the permission.
+// A guard returns an error message when the move is not possible yet.
+// Side effects (restock, payment capture/void) run in services/orderStatusService.
+const ORDER_TRANSITIONS = {
+  Pending: {
+    Processing: { permission: 'orders:ship' },
+    Cancelled: { permission: 'orders:cancel', owner: true }
+  },
+  Processing: {
+    Shipped: {
+      permission: 'orders:ship',
+      guard: (order) => (order.trackingNumber ? null : 'A tracking number is required before shipping')
+    },
+    Cancelled: { permission: 'orders:cancel', owner: true }
+  },
+  Shipped: {
+    Delivered: { permission: 'orders:ship' }
+  },
+  Delivered: {},
+  Cancelled: {}
+};
+
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+
 // Virtual Properties
 
 // Calculate total items in order
@@ -193,9 +341,9 @@ orderSchema.virtual('totalItems').get(function() {
   return this.items.reduce((sum, item) => sum + item.quantity, 0);
 });
 
-// Check if order can be cancelled
+// Check if order can be cancelled (by its customer)
 orderSchema.virtual('canBeCancelled').get(function() {
-  return ['Pending', 'Processing'].includes(this.orderStatus);
+  return this.getAllowedTransitions('user', { asOwner: true }).includes('Cancelled');
 });
 
 // Calculate days since order
@@ -204,6 +352,18 @@ orderSchema.virtual('daysSinceOrder').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Days a delivered order stays returnable
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 30;
+
+// Check if a return can be requested
+orderSchema.virtual('canBeReturned').get(function() {
+  if (this.orderStatus !== 'Delivered') return false;
+  const deliveredAt = this.actualDeliveryDate || this.updatedAt;
+  const windowEnd = new Date(deliveredAt);
+  windowEnd.setDate(windowEnd.getDate() + RETURN_WINDOW_DAYS);
+  return new Date() <= windowEnd;
+});
+
 // Pre-save HOOKS
 
 // Calculate totals before saving
@@ -213,19 +373,20 @@ orderSchema.pre('save', function(next) {
     this.subtotal = this.items.reduce((sum, item) => sum + item.subtotal, 0);
   }
   
-  // Calculate tax (8% for example)
-  if (!this.tax) {
-    this.tax = Math.round(this.subtotal * 0.08 * 100) / 100;
+  // Tax is the sum of the per-line breakdown (rates come from services/taxService)
+  if (this.isNew && !this.tax && this.items) {
+    this.tax = Math.round(this.items.reduce((sum, item) => sum + (item.taxAmount || 0), 0) * 100) / 100;
   }
   
   // Calculate total
-  this.totalAmount = this.subtotal + this.tax + this.shippingCost;
+  this.totalAmount = Math.round((this.subtotal - this.discountAmount + this.tax + this.shippingCost) * 100) / 100;
   
-  // Add to status history if status changed
-  if (this.isModified('orderStatus')) {
-    this.statusHistory.push({
+  // Initial status entry (later changes are recorded by applyStatus)
+  if (this.isNew && !this.statusHistory.some(entry => entry.type === 'order')) {
+    this.statusHistory.unshift({
       status: this.orderStatus,
-      timestamp: new Date()
+      timestamp: new Date(),
+      note: 'Order placed'
     });
   }
   
@@ -261,37 +422,98 @@ orderSchema.statics.findByUser = function(userId) {
 
 // INSTANCE METHODS
 
-// Update order status
-orderSchema.methods.updateStatus = function(newStatus, note = '') {
+// Statuses a role may move this order to next (guards not evaluated)
+// asOwner: the caller is the order's customer
+orderSchema.methods.getAllowedTransitions = function(role, { asOwner = false } = {}) {
+  const next = ORDER_TRANSITIONS[this.orderStatus] || {};
+  return Object.keys(next).filter(status =>
+    hasPermission(role, next[status].permission) || (asOwner && next[status].owner));
+};
+
+// Throw a 409 (with the allowed next statuses) unless the role may make
+// this move now, guards included
+orderSchema.methods.assertTransition = function(newStatus, role, options) {
+  const allowed = this.getAllowedTransitions(role, options);
+
+  if (!allowed.includes(newStatus)) {
+    throw httpError(409, `Cannot change order status from ${this.orderStatus} to ${newStatus}`, { allowed });
+  }
+
+  const { guard } = ORDER_TRANSITIONS[this.orderStatus][newStatus];
+  const guardMessage = guard && guard(this);
+  if (guardMessage) {
+    throw httpError(409, guardMessage, { allowed });
+  }
+};
+
+// Set the new status and record it (does not save; callers use
+// services/orderStatusService.transitionOrder so side effects run)
+orderSchema.methods.applyStatus = function(newStatus, note = '') {
   this.orderStatus = newStatus;
+  if (newStatus === 'Delivered') {
+    this.actualDeliveryDate = new Date();
+  }
   this.statusHistory.push({
     status: newStatus,
     timestamp: new Date(),
     note: note
   });
-  return this.save();
+  return this;
 };
 
-// Mark as delivered
-orderSchema.methods.markAsDelivered = function() {
-  this.orderStatus = 'Delivered';
-  this.actualDeliveryDate = new Date();
-  this.paymentStatus = 'Completed';
-  return this.save();
-};
-
-// Cancel order
-orderSchema.methods.cancelOrder = function(reason = '') {
-  if (!this.canBeCancelled) {
-    throw new Error('Order cannot be cancelled at this stage');
-  }
-  this.orderStatus = 'Cancelled';
+// Record a payment status change in the history
+// (does not save; callers save with their other changes)
+orderSchema.methods.recordPaymentStatus = function(newStatus, note = '') {
+  this.paymentStatus = newStatus;
   this.statusHistory.push({
-    status: 'Cancelled',
+    type: 'payment',
+    status: newStatus,
     timestamp: new Date(),
-    note: reason
+    note: note
   });
-  return this.save();
+  return this;
+};
+
+// Units of a line that can still be returned
+// (purchased minus units in returns that were not rejected)
+orderSchema.methods.getReturnableQuantity = function(productId, color, size) {
+  const matches = (item) =>
+    item.product.toString() === productId.toString() && item.color === color && item.size === size;
+
+  const line = this.items.find(matches);
+  if (!line) return 0;
+
+  const alreadyReturned = (this.returns || [])
+    .filter(rma => rma.status !== 'Rejected')
+    .reduce((sum, rma) => sum + rma.items
+      .filter(matches)
+      .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+
+  return line.quantity - alreadyReturned;
+};
+
+// What returned units are worth: the unit price after the line's share of
+// the order discount plus the unit's tax. Older orders without a per-line
+// discount spread it proportionally over all lines.
+orderSchema.methods.getRefundValue = function(returnItems) {
+  const discountRatio = this.subtotal > 0 ? (this.discountAmount || 0) / this.subtotal : 0;
+
+  const value = returnItems.reduce((sum, returned) => {
+    const line = this.items.find(item =>
+      item.product.toString() === returned.product.toString() &&
+      item.color === returned.color &&
+      item.size === returned.size);
+    if (!line) return sum;
+
+    const lineDiscount = line.discountAmount !== undefined
+      ? line.discountAmount
+      : line.subtotal * discountRatio;
+    const unitPrice = (line.subtotal - lineDiscount) / line.quantity;
+    const unitTax = (line.taxAmount || 0) / line.quantity;
+    return sum + (unitPrice + unitTax) * returned.quantity;
+  }, 0);
+
+  return Math.round(value * 100) / 100;
 };
 
 module.exports = mongoose.model('Order', orderSchema);
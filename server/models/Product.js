@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { prefixes, trigrams } = require('../utils/ngrams');
+// Registers the models the brand/category validators look up
+require('./Brand');
+require('./Category');
 
 // Embedded Schema: Size Variant
 //  Array of Embedded Documents
@@ -66,6 +70,14 @@ const reviewSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Brand and category must name an active Brand / Category document.
+// Checked only when the value is set or changed, so products keep saving
+// after their brand or category is deactivated.
+const taxonomyValidator = (modelName, path) => async function(name) {
+  if (!this.isNew && !this.isModified(path)) return true;
+  return Boolean(await mongoose.model(modelName).exists({ name, isActive: true }));
+};
+
 // MAIN SCHEMA: Product
 // Advanced Features:
 // 1. Multiple levels of embedded documents
@@ -91,20 +103,22 @@ const productSchema = new mongoose.Schema({
     minlength: [10, 'Description must be at least 10 characters'],
     maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Name of a Brand / Category document (see taxonomyValidator)
   brand: {
     type: String,
     required: [true, 'Brand is required'],
     trim: true,
-    enum: {
-      values: ['Nike', 'Adidas', 'Puma', 'Reebok', 'New Balance', 'Converse', 'Vans', 'Under Armour'],
+    validate: {
+      validator: taxonomyValidator('Brand', 'brand'),
       message: '{VALUE} is not a supported brand'
     }
   },
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: {
-      values: ['Running', 'Basketball', 'Casual', 'Training', 'Soccer', 'Tennis', 'Walking'],
+    trim: true,
+    validate: {
+      validator: taxonomyValidator('Category', 'category'),
       message: '{VALUE} is not a valid category'
     }
   },
@@ -165,6 +179,11 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Stored copy of the finalPrice virtual, so listings can sort and page by it
+  salePrice: {
+    type: Number,
+    min: 0
+  },
   soldCount: {
     type: Number,
     default: 0,
@@ -181,10 +200,27 @@ const productSchema = new mongoose.Schema({
   tags: {
     type: [String],
     default: []
+  },
+  // Search suggestion grams of name, brand and category (kept by the
+  // pre-save hook; never returned)
+  searchPrefixes: {
+    type: [String],
+    select: false
+  },
+  searchTrigrams: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.searchPrefixes;
+      delete ret.searchTrigrams;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -218,6 +254,23 @@ productSchema.index({ isFeatured: 1, averageRating: -1 });
 // Index for active products sorted by creation date
 productSchema.index({ isActive: 1, createdAt: -1 });
 
+// Multikey index on the embedded variants for the size / color / in-stock
+// filters ({ colors: { $elemMatch: { name, sizes: { $elemMatch: { size, stock } } } } }).
+// colors and colors.sizes are nested arrays, not parallel ones, so one
+// compound index can cover both.
+productSchema.index({ 'colors.sizes.size': 1, 'colors.sizes.stock': 1, 'colors.name': 1 });
+
+// Listing sorts (GET /api/products?sort=), _id breaks ties for the cursor
+productSchema.index({ isActive: 1, createdAt: -1, _id: -1 });
+productSchema.index({ isActive: 1, salePrice: 1, _id: 1 });
+productSchema.index({ isActive: 1, soldCount: -1, _id: -1 });
+productSchema.index({ isActive: 1, averageRating: -1, totalReviews: -1, _id: -1 });
+
+// Multikey indexes for search suggestions: word prefixes (autocomplete)
+// and trigrams (typo-tolerant candidates)
+productSchema.index({ searchPrefixes: 1 });
+productSchema.index({ searchTrigrams: 1 });
+
 
 // VIRTUAL PROPERTIES
 
@@ -259,6 +312,13 @@ productSchema.pre('save', function(next) {
     this.averageRating = 0;
     this.totalReviews = 0;
   }
+
+  this.salePrice = this.constructor.salePriceOf(this);
+
+  // Refresh the search grams when a searched field changes
+  if (this.isNew || this.isModified('name') || this.isModified('brand') || this.isModified('category')) {
+    this.set(this.constructor.searchGrams(this));
+  }
   
   next();
 });
@@ -267,6 +327,19 @@ productSchema.pre('save', function(next) {
 // STATIC METHODS
 // Advanced queries using aggregation
 
+// finalPrice rounded to cents, for the stored salePrice
+productSchema.statics.salePriceOf = function({ price, discountPercentage }) {
+  const finalPrice = discountPercentage > 0 ? price * (1 - discountPercentage / 100) : price;
+  return Math.round(finalPrice * 100) / 100;
+};
+
+// Search grams for a product's name, brand and category (also used when a
+// brand or category rename is cascaded with updates that skip the hooks)
+productSchema.statics.searchGrams = function({ name, brand, category }) {
+  const text = [name, brand, category].join(' ');
+  return { searchPrefixes: prefixes(text), searchTrigrams: trigrams(text) };
+};
+
 // Find top-rated products
 productSchema.statics.findTopRated = function(limit = 10) {
   return this.find({ isActive: true, totalReviews: { $gte: 5 } })
@@ -304,22 +377,58 @@ productSchema.methods.addReview = function(userId, userName, rating, comment) {
   return this.save();
 };
 
+// Adjust stock of ONE size variant atomically (using $inc + arrayFilters)
+// A single conditional updateOne instead of load-modify-save, so two
+// concurrent checkouts can never both take the last pair:
+// - delta < 0 only matches while stock >= |delta|
+// - expectedStock turns the update into a compare-and-swap (absolute set)
+// totalStock (and soldCount when countAsSold) move in the same update.
+// Resolves to the raw update result; modifiedCount === 0 means no match.
+productSchema.statics.adjustVariantStock = function(productId, colorName, size, delta, options = {}) {
+  const { session, expectedStock, countAsSold = false } = options;
+  const sizeMatch = { size: String(size) };
+
+  if (expectedStock !== undefined) {
+    sizeMatch.stock = expectedStock;
+  } else if (delta < 0) {
+    sizeMatch.stock = { $gte: -delta };
+  }
+
+  const inc = {
+    'colors.$[color].sizes.$[variant].stock': delta,
+    totalStock: delta
+  };
+  if (countAsSold) inc.soldCount = -delta;
+
+  return this.updateOne(
+    {
+      _id: productId,
+      colors: { $elemMatch: { name: colorName, sizes: { $elemMatch: sizeMatch } } }
+    },
+    { $inc: inc },
+    {
+      arrayFilters: [{ 'color.name': colorName }, { 'variant.size': String(size) }],
+      session
+    }
+  );
+};
+
 // Decrease stock (using $inc - Advanced Update Operator)
+// Runs in the document's session, so it joins an open transaction.
 productSchema.methods.decreaseStock = async function(colorName, size, quantity) {
-  const color = this.colors.find(c => c.name === colorName);
-  if (!color) throw new Error('Color not found');
-  
-  const sizeVariant = color.sizes.find(s => s.size === size);
-  if (!sizeVariant) throw new Error('Size not found');
-  
-  if (sizeVariant.stock < quantity) {
+  const result = await this.constructor.adjustVariantStock(
+    this._id, colorName, size, -quantity,
+    { session: this.$session(), countAsSold: true }
+  );
+
+  if (result.modifiedCount === 0) {
+    const color = this.colors.find(c => c.name === colorName);
+    if (!color) throw new Error('Color not found');
+    if (!color.sizes.find(s => s.size === size)) throw new Error('Size not found');
     throw new Error('Insufficient stock');
   }
-  
-  sizeVariant.stock -= quantity;
-  this.soldCount += quantity;
-  
-  return this.save();
+
+  return result;
 };
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// MAIN SCHEMA: Reservation
+// A time-limited hold on one colors[].sizes[] variant while a shopper is
+// on the Checkout page. Holds do NOT touch Product stock; they are
+// subtracted when computing available-to-sell and consumed by createOrder.
+// Advanced Features:
+// 1. References to User and Product
+// 2. TTL index - MongoDB deletes expired holds by itself
+const reservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  color: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+
+// TTL index: the TTL monitor removes a hold once expiresAt has passed.
+// It only runs about once a minute, so queries still filter on expiresAt.
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Summing active holds per variant
+reservationSchema.index({ product: 1, color: 1, size: 1, expiresAt: 1 });
+
+// Releasing / consuming a shopper's holds
+reservationSchema.index({ user: 1 });
+
+// STATIC METHODS
+
+// Key used for the held-quantity map
+reservationSchema.statics.holdKey = function(color, size) {
+  return `${color}|${size}`;
+};
+
+// Sum active holds for every variant of a product
+// Returns a Map of holdKey -> held quantity
+reservationSchema.statics.getHeldQuantities = async function(productId, options = {}) {
+  const { session, excludeUser } = options;
+
+  const match = {
+    product: new mongoose.Types.ObjectId(String(productId)),
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeUser) {
+    match.user = { $ne: new mongoose.Types.ObjectId(String(excludeUser)) };
+  }
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { color: '$color', size: '$size' },
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]).session(session || null);
+
+  const held = new Map();
+  rows.forEach(row => held.set(this.holdKey(row._id.color, row._id.size), row.quantity));
+  return held;
+};
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// MAIN SCHEMA: Session
+// One login on one device. The refresh token itself is never stored, only
+// its SHA-256 hash; every refresh rotates it. Access tokens carry the
+// session id, so revoking a session logs that device out immediately.
+// Advanced Features:
+// 1. Reference to User
+// 2. TTL index - expired sessions are removed by MongoDB
+// 3. Refresh token reuse detection (previousTokenHash)
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced; presenting it again means the
+  // old token leaked, so the whole session is revoked
+  previousTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+
+// TTL index: the session document disappears when the refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh lookups
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+
+// Log out all devices
+sessionSchema.index({ user: 1 });
+
+// VIRTUAL PROPERTY
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// STATIC METHODS
+
+// New random refresh token
+sessionSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+// Hash stored in place of the token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
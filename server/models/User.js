@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, getPermissions } = require('../config/permissions');
 
 // EMBEDDED SCHEMA: Address
 // Demonstrates: Embedded Documents (Advanced Feature)
@@ -11,6 +12,32 @@ const addressSchema = new mongoose.Schema({
   country: { type: String, default: 'USA' }
 }, { _id: false });
 
+// EMBEDDED SCHEMA: Saved Address (address book entry)
+// Complete enough to be copied into Order.shippingAddress as is
+const savedAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Address label is required'],
+    trim: true,
+    maxlength: [40, 'Label cannot exceed 40 characters']
+  },
+  street: { type: String, required: [true, 'Street is required'], trim: true },
+  city: { type: String, required: [true, 'City is required'], trim: true },
+  state: { type: String, required: [true, 'State is required'], trim: true },
+  zipCode: { type: String, required: [true, 'Zip code is required'], trim: true },
+  country: { type: String, default: 'USA', trim: true },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    match: [/^\+?[\d\s-()]+$/, 'Please provide a valid phone number']
+  },
+  isDefaultShipping: { type: Boolean, default: false },
+  isDefaultBilling: { type: Boolean, default: false }
+});
+
+const MAX_SAVED_ADDRESSES = 20;
+
 // MAIN SCHEMA: User
 const userSchema = new mongoose.Schema({
   name: {
@@ -37,8 +64,8 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['user', 'admin'],
-      message: 'Role must be either user or admin'
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
     },
     default: 'user'
   },
@@ -47,6 +74,14 @@ const userSchema = new mongoose.Schema({
     type: addressSchema,
     default: () => ({})
   },
+  // Address book (ARRAY OF EMBEDDED DOCUMENTS), at most one default of each kind
+  addresses: {
+    type: [savedAddressSchema],
+    validate: {
+      validator: (list) => list.length <= MAX_SAVED_ADDRESSES,
+      message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`
+    }
+  },
   phoneNumber: {
     type: String,
     trim: true,
@@ -56,8 +91,60 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by the email verification link (POST /api/auth/verify-email)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Brute-force protection (services/loginGuard)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication (services/twoFactorService)
+  // Secrets and backup code hashes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for its first code (enrollment in progress)
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused one-time backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   lastLogin: {
     type: Date
+  },
+  // Set when the account was anonymized (DELETE /api/auth/me)
+  deletedAt: {
+    type: Date
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
@@ -79,6 +166,16 @@ userSchema.virtual('membershipDuration').get(function() {
   return diffDays;
 });
 
+// Capabilities granted by the role (config/permissions)
+userSchema.virtual('permissions').get(function() {
+  return getPermissions(this.role);
+});
+
+// Check if the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
 // PRE-SAVE HOOK (Middleware)
 // Hash password before saving to database
 userSchema.pre('save', async function(next) {
@@ -94,6 +191,17 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// INSTANCE METHOD
+// Make one saved address the default shipping and/or billing address
+// (clears the flag on the others; does not save)
+userSchema.methods.setDefaultAddress = function(addressId, { shipping = false, billing = false } = {}) {
+  for (const entry of this.addresses) {
+    const isTarget = entry._id.equals(addressId);
+    if (shipping) entry.isDefaultShipping = isTarget;
+    if (billing) entry.isDefaultBilling = isTarget;
+  }
+};
+
 // INSTANCE METHOD
 // Compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
@@ -106,6 +214,12 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.backupCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
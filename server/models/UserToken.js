@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// MAIN SCHEMA: UserToken
+// One-time tokens mailed to a user (password reset, email verification,
+// admin two-factor enrollment).
+// Only the SHA-256 hash is stored; the raw token exists in the email alone.
+// Advanced Features:
+// 1. Reference to User
+// 2. TTL index - expired tokens are removed by MongoDB
+// 3. Atomic consume (findOneAndUpdate) - a token works exactly once
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['password-reset', 'email-verification', '2fa-enrollment']
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES
+
+// TTL index: expired tokens disappear on their own
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Consuming a token
+userTokenSchema.index({ tokenHash: 1, type: 1 }, { unique: true });
+
+// Replacing a user's earlier tokens
+userTokenSchema.index({ user: 1, type: 1 });
+
+// STATIC METHODS
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a new token (earlier unused tokens of the same type stop working)
+// Resolves to the raw token to put in the email
+userTokenSchema.statics.issue = async function(userId, type, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, type, usedAt: null });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Whether an unused, unexpired token of this type was issued in the last
+// `minutes` (lets callers skip mailing a new one on every attempt)
+userTokenSchema.statics.issuedRecently = async function(userId, type, minutes) {
+  const since = new Date(Date.now() - minutes * 60 * 1000);
+  const token = await this.exists({
+    user: userId,
+    type,
+    usedAt: null,
+    createdAt: { $gt: since },
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(token);
+};
+
+// Look up a valid token without using it up (for flows with several steps)
+// Resolves to the token document, or null if unknown, used or expired
+userTokenSchema.statics.findValid = function(token, type) {
+  if (!token) return Promise.resolve(null);
+
+  return this.findOne({ tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Use a token: marks it used in one atomic update
+// Resolves to the token document, or null if unknown, used or expired
+userTokenSchema.statics.consume = function(token, type) {
+  if (!token) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -8,16 +8,18 @@ const {
   getInventoryReport,
   getCustomerInsights
 } = require('../controllers/analyticsController');
-const { protect, authorizeAdmin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/analyticsValidators');
 
 // Public analytics
-router.get('/top-rated', getTopRatedProducts);
-router.get('/best-sellers', getBestSellers);
+router.get('/top-rated', validate(schemas.getTopRatedProducts), getTopRatedProducts);
+router.get('/best-sellers', validate(schemas.getBestSellers), getBestSellers);
 
-// Admin-only analytics
-router.get('/revenue', protect, authorizeAdmin, getRevenueStats);
-router.get('/sales-trends', protect, authorizeAdmin, getSalesTrends);
-router.get('/inventory', protect, authorizeAdmin, getInventoryReport);
-router.get('/customers', protect, authorizeAdmin, getCustomerInsights);
+// Staff analytics (revenue is stats:read only)
+router.get('/revenue', protect, requirePermission('stats:read'), validate(schemas.getRevenueStats), getRevenueStats);
+router.get('/sales-trends', protect, requirePermission('stats:read'), validate(schemas.getSalesTrends), getSalesTrends);
+router.get('/inventory', protect, requirePermission('inventory:read'), getInventoryReport);
+router.get('/customers', protect, requirePermission('stats:read'), getCustomerInsights);
 
 module.exports = router;
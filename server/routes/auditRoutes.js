@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/auditValidators');
+
+// Read-only: entries are written by the controllers, never through the API
+router.use(protect, requirePermission('audit:read'));
+
+router.get('/', validate(schemas.getAuditLogs), getAuditLogs);
+
+module.exports = router;
@@ -3,17 +3,67 @@ const router = express.Router();
 const {
   register,
   login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
   getMe,
+  exportMyData,
+  deleteMe,
   updateProfile
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes
+} = require('../controllers/twoFactorController');
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress
+} = require('../controllers/addressController');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/authValidators');
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', validate(schemas.register), register);
+router.post('/login', validate(schemas.login), login);
+router.post('/login/2fa', validate(schemas.loginTwoFactor), loginTwoFactor);
+router.post('/login/2fa/setup', validate(schemas.loginTwoFactorSetup), loginTwoFactorSetup);
+router.post('/login/2fa/enable', validate(schemas.loginTwoFactorEnable), loginTwoFactorEnable);
+router.post('/refresh', validate(schemas.refresh), refresh);
+router.post('/logout', validate(schemas.logout), logout);
+router.post('/forgot-password', validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
+router.post('/verify-email', validate(schemas.verifyEmail), verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/profile', protect, updateProfile);
+router.get('/me/export', protect, exportMyData);
+router.delete('/me', protect, validate(schemas.deleteMe), deleteMe);
+router.put('/profile', protect, validate(schemas.updateProfile), updateProfile);
+router.post('/logout-all', protect, logoutAll);
+router.put('/password', protect, validate(schemas.changePassword), changePassword);
+router.post('/verify-email/resend', protect, resendVerification);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, validate(schemas.enableTwoFactor), enableTwoFactor);
+router.post('/2fa/disable', protect, validate(schemas.disableTwoFactor), disableTwoFactorAuth);
+router.post('/2fa/backup-codes', protect, validate(schemas.regenerateBackupCodes), regenerateTwoFactorBackupCodes);
+
+// Address book
+router.get('/addresses', protect, getAddresses);
+router.post('/addresses', protect, validate(schemas.addAddress), addAddress);
+router.patch('/addresses/:addressId', protect, validate(schemas.updateAddress), updateAddress);
+router.delete('/addresses/:addressId', protect, validate(schemas.deleteAddress), deleteAddress);
 
 module.exports = router;
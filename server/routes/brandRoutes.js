@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBrands,
+  getBrandBySlug,
+  createBrand,
+  updateBrand,
+  deleteBrand
+} = require('../controllers/brandController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/taxonomyValidators');
+
+// Public routes
+router.get('/', validate(schemas.list), getBrands);
+router.get('/:slug', validate(schemas.bySlug), getBrandBySlug);
+
+// Staff routes
+router.post('/', protect, requirePermission('products:write'), validate(schemas.createBrand), createBrand);
+router.patch('/:id', protect, requirePermission('products:write'), validate(schemas.updateBrand), updateBrand);
+router.delete('/:id', protect, requirePermission('products:write'), validate(schemas.byId), deleteBrand);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  applyCoupon
+} = require('../controllers/cartController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/cartValidators');
+
+// All cart routes require authentication
+router.use(protect);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/merge', validate(schemas.mergeCart), mergeCart);
+router.post('/apply-coupon', validate(schemas.applyCoupon), applyCoupon);
+router.post('/items', validate(schemas.addCartItem), addCartItem);
+router.patch('/items/:productId/:color/:size', validate(schemas.updateCartItem), updateCartItem);
+router.delete('/items/:productId/:color/:size', validate(schemas.removeCartItem), removeCartItem);
+
+module.exports = router;
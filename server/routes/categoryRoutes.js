@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/taxonomyValidators');
+
+// Public routes
+router.get('/', validate(schemas.list), getCategories);
+router.get('/:slug', validate(schemas.bySlug), getCategoryBySlug);
+
+// Staff routes
+router.post('/', protect, requirePermission('products:write'), validate(schemas.createCategory), createCategory);
+router.patch('/:id', protect, requirePermission('products:write'), validate(schemas.updateCategory), updateCategory);
+router.delete('/:id', protect, requirePermission('products:write'), validate(schemas.byId), deleteCategory);
+
+module.exports = router;
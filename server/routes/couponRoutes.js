@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/couponValidators');
+
+// Admin routes
+router.use(protect, requirePermission('coupons:write'));
+
+router.get('/', getCoupons);
+router.post('/', validate(schemas.createCoupon), createCoupon);
+router.patch('/:id', validate(schemas.updateCoupon), updateCoupon);
+router.delete('/:id', validate(schemas.couponId), deleteCoupon);
+
+module.exports = router;
@@ -2,25 +2,45 @@ const express = require('express');
 const router = express.Router();
 const {
   createOrder,
+  quoteOrder,
   getMyOrders,
   getOrderById,
   getAllOrders,
   updateOrderStatus,
   cancelOrder
 } = require('../controllers/orderController');
-const { protect, authorizeAdmin } = require('../middleware/auth');
+const {
+  requestReturn,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+} = require('../controllers/returnController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/orderValidators');
 
 // All order routes require authentication
 router.use(protect);
 
+// Staff route registered before /:id so 'returns' is not read as an order id
+router.get('/returns', requirePermission('orders:read'), validate(schemas.getAllReturns), getAllReturns);
+
 // User routes
-router.post('/', createOrder);
+router.post('/', validate(schemas.createOrder), createOrder);
+router.post('/quote', validate(schemas.quoteOrder), quoteOrder);
 router.get('/me', getMyOrders);
-router.get('/:id', getOrderById);
-router.delete('/:id', cancelOrder);
+router.get('/:id', validate(schemas.orderId), getOrderById);
+router.delete('/:id', validate(schemas.orderId), cancelOrder);
+router.post('/:id/returns', validate(schemas.requestReturn), requestReturn);
 
-// Admin routes
-router.get('/', authorizeAdmin, getAllOrders);
-router.patch('/:id/status', authorizeAdmin, updateOrderStatus);
+// Staff routes (status changes are checked per transition in Order.TRANSITIONS)
+router.get('/', requirePermission('orders:read'), validate(schemas.getAllOrders), getAllOrders);
+router.patch('/:id/status', requirePermission('orders:read'), validate(schemas.updateOrderStatus), updateOrderStatus);
+router.patch('/:id/returns/:returnId/approve', requirePermission('returns:review'), validate(schemas.reviewReturn), approveReturn);
+router.patch('/:id/returns/:returnId/reject', requirePermission('returns:review'), validate(schemas.reviewReturn), rejectReturn);
+router.patch('/:id/returns/:returnId/receive', requirePermission('returns:receive'), validate(schemas.reviewReturn), receiveReturn);
+router.post('/:id/returns/:returnId/refund', requirePermission('orders:refund'), validate(schemas.refundReturn), refundReturn);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  handleWebhook
+} = require('../controllers/paymentController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/paymentValidators');
+
+// Public route (verified by signature)
+router.post('/webhook', handleWebhook);
+
+// Staff routes
+router.post('/:orderId/capture', protect, requirePermission('payments:capture'), validate(schemas.capturePayment), capturePayment);
+router.post('/:orderId/refund', protect, requirePermission('orders:refund'), validate(schemas.refundPayment), refundPayment);
+router.post('/:orderId/void', protect, requirePermission('orders:refund'), validate(schemas.voidPayment), voidPayment);
+
+module.exports = router;
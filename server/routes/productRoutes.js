@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const {
   getProducts,
+  suggestProducts,
   getProductById,
   createProduct,
   updateProduct,
@@ -10,20 +11,23 @@ const {
   addReview,
   getFeaturedProducts
 } = require('../controllers/productController');
-const { protect, authorizeAdmin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/productValidators');
 
 // Public routes
-router.get('/', getProducts);
+router.get('/', validate(schemas.getProducts), getProducts);
 router.get('/featured', getFeaturedProducts);
-router.get('/:id', getProductById);
+router.get('/suggest', validate(schemas.suggest), suggestProducts);
+router.get('/:id', validate(schemas.productId), getProductById);
 
 // Protected routes (require login)
-router.post('/:id/reviews', protect, addReview);
+router.post('/:id/reviews', protect, validate(schemas.addReview), addReview);
 
-// Admin routes
-router.post('/', protect, authorizeAdmin, createProduct);
-router.patch('/:id', protect, authorizeAdmin, updateProduct);
-router.patch('/:id/stock', protect, authorizeAdmin, updateStock);
-router.delete('/:id', protect, authorizeAdmin, deleteProduct);
+// Staff routes
+router.post('/', protect, requirePermission('products:write'), validate(schemas.createProduct), createProduct);
+router.patch('/:id', protect, requirePermission('products:write'), validate(schemas.updateProduct), updateProduct);
+router.patch('/:id/stock', protect, requirePermission('stock:write'), validate(schemas.updateStock), updateStock);
+router.delete('/:id', protect, requirePermission('products:write'), validate(schemas.productId), deleteProduct);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  holdCheckoutItems,
+  getMyReservations,
+  releaseReservations
+} = require('../controllers/reservationController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/cartValidators');
+
+// All reservation routes require authentication
+router.use(protect);
+
+router.post('/', validate(schemas.holdCheckoutItems), holdCheckoutItems);
+router.get('/me', getMyReservations);
+router.delete('/', releaseReservations);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getShippingQuote } = require('../controllers/shippingController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/cartValidators');
+
+// Public routes
+router.post('/quote', validate(schemas.getShippingQuote), getShippingQuote);
+
+module.exports = router;
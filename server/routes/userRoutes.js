@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUserById,
+  updateUser,
+  unlockUser
+} = require('../controllers/userController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/userValidators');
+
+// All user management routes need users:manage
+router.use(protect, requirePermission('users:manage'));
+
+router.get('/', validate(schemas.getUsers), getUsers);
+router.get('/:id', validate(schemas.userId), getUserById);
+router.patch('/:id', validate(schemas.updateUser), updateUser);
+router.patch('/:id/unlock', validate(schemas.userId), unlockUser);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Create Brand and Category documents for the names already used by products
+// Usage: node scripts/migrateTaxonomy.js
+// Run once on a database seeded before brands and categories were collections.
+// Existing documents are left as they are; missing ones are created top-level.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+const Category = require('../models/Category');
+
+// Create a document for every name not in the collection yet
+const createMissing = async (Model, names) => {
+  const existing = new Set(await Model.distinct('name'));
+  const missing = names.filter(name => name && !existing.has(name));
+  for (const name of missing) {
+    await Model.create({ name });
+  }
+  return missing;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const brands = await createMissing(Brand, await Product.distinct('brand'));
+  console.log(`🏷️  Brands created: ${brands.length ? brands.join(', ') : 'none'}`);
+
+  const categories = await createMissing(Category, await Product.distinct('category'));
+  console.log(`🏷️  Categories created: ${categories.length ? categories.join(', ') : 'none'}`);
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
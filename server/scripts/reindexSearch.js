@@ -0,0 +1,40 @@
+// Rebuild the search fields of every product: suggestion grams and the
+// stored salePrice the listing sorts by
+// Usage: node scripts/reindexSearch.js
+// Products get these when saved; run this once for products created before
+// the fields existed (or after editing the database by hand).
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const BATCH_SIZE = 500;
+
+const reindex = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  let batch = [];
+  let updated = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Product.bulkWrite(batch);
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const product of Product.find().select('name brand category price discountPercentage').lean().cursor()) {
+    const fields = { ...Product.searchGrams(product), salePrice: Product.salePriceOf(product) };
+    batch.push({ updateOne: { filter: { _id: product._id }, update: { $set: fields } } });
+    if (batch.length === BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`🔎 Search fields rebuilt for ${updated} products`);
+};
+
+reindex()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Reindex failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+// Send a signed mock-gateway webhook to the local API
+// Usage: node scripts/sendMockWebhook.js <event type> <transactionId> [amount]
+//   e.g. node scripts/sendMockWebhook.js payment.captured mock_3f2a... 129.99
+// Uses PAYMENT_WEBHOOK_SECRET and PORT from .env like the server does.
+require('dotenv').config();
+const crypto = require('crypto');
+const { signPayload, SIGNATURE_HEADER } = require('../services/payments/mockProvider');
+
+const [type, transactionId, amount] = process.argv.slice(2);
+
+if (!type || !transactionId) {
+  console.error('Usage: node scripts/sendMockWebhook.js <event type> <transactionId> [amount]');
+  process.exit(1);
+}
+
+const body = JSON.stringify({
+  id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+  type,
+  data: {
+    transactionId,
+    amount: amount === undefined ? undefined : Number(amount)
+  }
+});
+
+const url = `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    [SIGNATURE_HEADER]: signPayload(body)
+  },
+  body
+})
+  .then(async (response) => {
+    console.log(response.status, await response.text());
+    process.exit(response.ok ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('❌ Webhook failed:', error.message);
+    process.exit(1);
+  });
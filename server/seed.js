@@ -3,6 +3,9 @@ const mongoose = require('mongoose');
 const User = require('./models/User');
 const Product = require('./models/Product');
 const Order = require('./models/Order');
+const Coupon = require('./models/Coupon');
+const Brand = require('./models/Brand');
+const Category = require('./models/Category');
 
 // Connect to database
 const connectDB = async () => {
@@ -54,6 +57,29 @@ const users = [
   }
 ];
 
+const brands = [
+  { name: 'Nike', description: 'Performance and lifestyle footwear' },
+  { name: 'Adidas', description: 'Sport shoes and originals' },
+  { name: 'Puma', description: 'Sport and street styles' },
+  { name: 'Reebok', description: 'Training and classic sneakers' },
+  { name: 'New Balance', description: 'Running and everyday comfort' },
+  { name: 'Converse', description: 'Canvas classics' },
+  { name: 'Vans', description: 'Skate shoes' },
+  { name: 'Under Armour', description: 'Training and running gear' }
+];
+
+// parent: name of the category above (created first)
+const categories = [
+  { name: 'Running', description: 'Road and trail running shoes' },
+  { name: 'Trail Running', parent: 'Running', description: 'Grippy shoes for off-road runs' },
+  { name: 'Basketball', description: 'Court shoes with ankle support' },
+  { name: 'Casual', description: 'Everyday sneakers' },
+  { name: 'Training', description: 'Gym and cross-training shoes' },
+  { name: 'Soccer', description: 'Cleats and indoor soccer shoes' },
+  { name: 'Tennis', description: 'Hard and clay court shoes' },
+  { name: 'Walking', description: 'Cushioned walking shoes' }
+];
+
 const products = [
   {
     name: 'Air Max 270',
@@ -276,6 +302,25 @@ const products = [
   }
 ];
 
+const coupons = [
+  {
+    code: 'WELCOME10',
+    description: '10% off your first order',
+    discountType: 'percent',
+    discountValue: 10,
+    perUserLimit: 1
+  },
+  {
+    code: 'RUN20',
+    description: '$20 off running shoes over $100',
+    discountType: 'fixed',
+    discountValue: 20,
+    minSubtotal: 100,
+    categories: ['Running'],
+    usageLimit: 100
+  }
+];
+
 // Seed function
 const seedDatabase = async () => {
   try {
@@ -286,6 +331,19 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await Product.deleteMany({});
     await Order.deleteMany({});
+    await Coupon.deleteMany({});
+    await Brand.deleteMany({});
+    await Category.deleteMany({});
+
+    // Create brands and categories (products are validated against them)
+    console.log('🏷️  Creating brands and categories...');
+    await Brand.create(brands);
+    const categoryIds = {};
+    for (const { parent, ...category } of categories) {
+      const created = await Category.create({ ...category, parent: parent ? categoryIds[parent] : null });
+      categoryIds[created.name] = created._id;
+    }
+    console.log(`✅ Created ${brands.length} brands and ${categories.length} categories`);
 
     // Create users
     console.log('👥 Creating users...');
@@ -297,6 +355,11 @@ const seedDatabase = async () => {
     const createdProducts = await Product.create(products);
     console.log(`✅ Created ${createdProducts.length} products`);
 
+    // Create coupons
+    console.log('🏷️  Creating coupons...');
+    const createdCoupons = await Coupon.create(coupons);
+    console.log(`✅ Created ${createdCoupons.length} coupons`);
+
     // Add sample reviews to products
     console.log('⭐ Adding sample reviews...');
     const johnUser = createdUsers.find(u => u.email === 'john@example.com');
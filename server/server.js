@@ -7,8 +7,17 @@ const errorHandler = require('./middleware/errorHandler');
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const productRoutes = require('./routes/productRoutes');
+const brandRoutes = require('./routes/brandRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const reservationRoutes = require('./routes/reservationRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const userRoutes = require('./routes/userRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 
 // Initialize express app
 const app = express();
@@ -18,8 +27,18 @@ connectDB();
 
 // MIDDLEWARE=
 
-// Body parser
-app.use(express.json());
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For
+// (per-IP login throttling depends on it)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Body parser (keeps the raw body for payment webhook signatures)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS - Allow frontend to access backend
@@ -59,7 +78,13 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       products: '/api/products',
       orders: '/api/orders',
-      analytics: '/api/stats'
+      analytics: '/api/stats',
+      reservations: '/api/reservations',
+      cart: '/api/cart',
+      coupons: '/api/coupons',
+      shipping: '/api/shipping',
+      payments: '/api/payments',
+      users: '/api/users'
     }
   });
 });
@@ -67,8 +92,17 @@ app.get('/', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/brands', brandRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/stats', analyticsRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
 app.use((req, res) => {
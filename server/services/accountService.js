@@ -0,0 +1,152 @@
+// Service: Personal Data (export and account deletion)
+// Export gathers everything stored about a user into one JSON archive.
+// Deletion anonymizes instead of removing: the User document and the
+// orders stay (order totals keep analytics correct), but every copy of the
+// name, email, phone and addresses is scrubbed, reviews lose the author's
+// name, audit entries keep the events without the email, and sessions,
+// tokens, cart and holds are deleted.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Reservation = require('../models/Reservation');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const AuditLog = require('../models/AuditLog');
+const httpError = require('../utils/httpError');
+
+const DELETED_NAME = 'Deleted User';
+const REDACTED = 'REDACTED';
+
+// Orders still on their way need the real address
+const OPEN_ORDER_STATUSES = ['Pending', 'Processing', 'Shipped'];
+
+// Email that can never receive mail or collide with a real account
+const deletedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+// Everything stored about a user, as plain JSON
+const buildExport = async (userId) => {
+  const [user, orders, reviews, cart, sessions] = await Promise.all([
+    User.findById(userId),
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Product.aggregate([
+      { $match: { 'reviews.user': new mongoose.Types.ObjectId(userId) } },
+      { $unwind: '$reviews' },
+      { $match: { 'reviews.user': new mongoose.Types.ObjectId(userId) } },
+      {
+        $project: {
+          _id: 0,
+          product: '$_id',
+          productName: '$name',
+          rating: '$reviews.rating',
+          comment: '$reviews.comment',
+          createdAt: '$reviews.createdAt'
+        }
+      }
+    ]),
+    Cart.findOne({ user: userId }).lean(),
+    Session.find({ user: userId })
+      .select('userAgent ip createdAt lastUsedAt revokedAt expiresAt')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user ? user.toJSON() : null,
+    orders,
+    reviews,
+    cart: cart ? cart.items : [],
+    sessions
+  };
+};
+
+// Anonymize an account (the caller checks the password)
+// Throws httpError 409 while orders are still open.
+const anonymizeAccount = async (user) => {
+  const openOrders = await Order.countDocuments({
+    user: user._id,
+    orderStatus: { $in: OPEN_ORDER_STATUSES }
+  });
+  if (openOrders > 0) {
+    throw httpError(409, 'You have orders that are not delivered yet. Cancel them or wait for delivery before deleting your account.');
+  }
+
+  const email = deletedEmail(user._id);
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Orders keep items, totals and payment state; the customer's
+      // contact details go
+      await Order.updateMany(
+        { user: user._id },
+        {
+          $set: {
+            userEmail: email,
+            userName: DELETED_NAME,
+            'shippingAddress.street': REDACTED,
+            'shippingAddress.city': REDACTED,
+            'shippingAddress.zipCode': REDACTED,
+            'shippingAddress.phoneNumber': REDACTED
+          },
+          $unset: { customerNotes: 1 }
+        },
+        { session }
+      );
+
+      // Reviews stay (they carry the product ratings), without the name
+      await Product.updateMany(
+        { 'reviews.user': user._id },
+        { $set: { 'reviews.$[review].userName': DELETED_NAME } },
+        { arrayFilters: [{ 'review.user': user._id }], session }
+      );
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            name: DELETED_NAME,
+            email,
+            // Random hash nobody knows the password for
+            password: crypto.randomBytes(32).toString('hex'),
+            address: {},
+            addresses: [],
+            isActive: false,
+            emailVerified: false,
+            'twoFactor.enabled': false,
+            deletedAt: new Date()
+          },
+          $unset: {
+            phoneNumber: 1,
+            emailVerifiedAt: 1,
+            lastLogin: 1,
+            'twoFactor.enabledAt': 1,
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.backupCodes': 1,
+            'twoFactor.lastUsedStep': 1
+          }
+        },
+        { session }
+      );
+
+      // The audit trail keeps what happened, not who it was
+      await AuditLog.anonymizeUser(user._id, email, { session });
+
+      await Cart.deleteMany({ user: user._id }, { session });
+      await Reservation.deleteMany({ user: user._id }, { session });
+      await UserToken.deleteMany({ user: user._id }, { session });
+      await Session.deleteMany({ user: user._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  buildExport,
+  anonymizeAccount
+};
@@ -0,0 +1,104 @@
+// Service: Audit Trail
+// Writes AuditLog entries for admin changes with a field-level before/after
+// diff. Documents are flattened to dot paths first; arrays of subdocuments
+// are keyed by their name/size/code so a stock change reads as
+// "colors.Black.sizes.9.stock: 12 -> 10" rather than an array index.
+const AuditLog = require('../models/AuditLog');
+
+// Never worth diffing (bookkeeping or derived)
+const IGNORED_PATHS = new Set(['_id', '__v', 'id', 'createdAt', 'updatedAt']);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !value._bsontype;
+
+// Key for an array entry: a natural key when the entries have one
+const entryKey = (entry, index) => {
+  if (!isPlainObject(entry)) return null;
+  const key = entry.name ?? entry.size ?? entry.code ?? (entry._id && String(entry._id));
+  return key === undefined || key === null ? String(index) : String(key);
+};
+
+// { a: { b: 1 }, list: [{ name: 'x', n: 2 }] } -> { 'a.b': 1, 'list.x.n': 2 }
+// Arrays of plain values stay whole (tags, images)
+const flatten = (value, prefix = '', out = {}) => {
+  if (Array.isArray(value) && value.some(isPlainObject)) {
+    value.forEach((entry, index) => flatten(entry, `${prefix}${entryKey(entry, index)}.`, out));
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (IGNORED_PATHS.has(key)) continue;
+      flatten(child, `${prefix}${key}.`, out);
+    }
+  } else if (prefix) {
+    out[prefix.slice(0, -1)] = value;
+  }
+  return out;
+};
+
+// Plain JSON copy of a document (or object) for diffing and storing
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Field-level changes between two snapshots: [{ field, before, after }]
+// (a missing side is undefined, i.e. created or deleted)
+const diffSnapshots = (before, after) => {
+  const flatBefore = before ? flatten(before) : {};
+  const flatAfter = after ? flatten(after) : {};
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  for (const field of fields) {
+    const previous = flatBefore[field];
+    const next = flatAfter[field];
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+};
+
+// Top-level fields left out of the diff
+const omitFields = (plain, omit) => {
+  if (!plain || omit.length === 0) return plain;
+  const copy = { ...plain };
+  omit.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Record an admin change made in a request
+// before/after are documents or plain objects (null for create/delete);
+// omit lists top-level fields not worth keeping (e.g. a product's reviews).
+// An audit failure is logged, never turned into a failed request: the
+// change itself has already been committed.
+const recordChange = async (req, { action, targetModel, targetId, before = null, after = null, omit = [], metadata }) => {
+  try {
+    const changes = diffSnapshots(
+      omitFields(snapshot(before), omit),
+      omitFields(snapshot(after), omit)
+    );
+
+    await AuditLog.record({
+      actor: req.user,
+      action,
+      targetModel,
+      targetId,
+      changes,
+      metadata,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error(`Error writing audit log (${action}):`, error.message);
+  }
+};
+
+module.exports = {
+  flatten,
+  snapshot,
+  diffSnapshots,
+  recordChange
+};
@@ -0,0 +1,104 @@
+// Service: Login Guard
+// Brute-force protection for POST /api/auth/login:
+// - per account: LOGIN_MAX_ATTEMPTS failures lock the account for
+//   LOGIN_LOCK_MINUTES (User.failedLoginAttempts / lockUntil)
+// - per IP: LOGIN_IP_MAX_ATTEMPTS failures within LOGIN_IP_WINDOW_MINUTES
+//   block the IP until the window ends (LoginAttempt collection)
+// - progressive delay: responses slow down as failures pile up
+// Blocked attempts get the same "Invalid email or password" answer as a
+// wrong password, so lockouts do not reveal which emails have accounts.
+// Every lockout is written to the audit log.
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+
+const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 4000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before answering after `failures` recent failures:
+// none for the first few, then doubling up to MAX_DELAY_MS
+const getDelayMs = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+// Check an attempt before the password is compared
+// Waits the progressive delay, then resolves to true if the attempt
+// must be refused (IP blocked or account locked)
+const checkLoginAttempt = async (user, ip) => {
+  const ipFailures = await LoginAttempt.getCount(ip);
+  await sleep(getDelayMs(Math.max(ipFailures, user ? user.failedLoginAttempts : 0)));
+
+  return ipFailures >= IP_MAX_ATTEMPTS || Boolean(user && user.isLocked);
+};
+
+// Count a failed attempt against the IP and (if known) the account,
+// locking and auditing when a limit is reached
+const registerFailedLogin = async (user, req) => {
+  const ip = req.ip;
+
+  const attempt = await LoginAttempt.registerFailure(ip, IP_WINDOW_MINUTES);
+  if (attempt.count >= IP_MAX_ATTEMPTS && !attempt.blockedAt) {
+    // Conditional so concurrent failures audit the block once
+    const blocked = await LoginAttempt.updateOne(
+      { _id: attempt._id, blockedAt: null },
+      { $set: { blockedAt: new Date() } }
+    );
+    if (blocked.modifiedCount > 0) {
+      await AuditLog.record({
+        action: 'auth.ip_blocked',
+        metadata: { failures: attempt.count, until: attempt.expiresAt },
+        ip
+      });
+    }
+  }
+
+  // Locked accounts do not keep counting
+  if (!user || user.isLocked) return;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts');
+
+  if (updated.failedLoginAttempts >= MAX_ATTEMPTS) {
+    const lockUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+    // Only the request that crosses the limit locks (and audits)
+    const locked = await User.updateOne(
+      { _id: user._id, failedLoginAttempts: { $gte: MAX_ATTEMPTS } },
+      { $set: { lockUntil, failedLoginAttempts: 0 } }
+    );
+    if (locked.modifiedCount > 0) {
+      await AuditLog.record({
+        action: 'auth.lockout',
+        targetModel: 'User',
+        targetId: user._id,
+        metadata: { email: user.email, failures: updated.failedLoginAttempts, until: lockUntil },
+        ip
+      });
+    }
+  }
+};
+
+// Successful login: forget the account's failures
+const clearFailedLogins = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+module.exports = {
+  getDelayMs,
+  checkLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,16 @@
+// Mail Transport: Console
+// Prints every message to stdout (the default for local development).
+const name = 'console';
+
+const send = async ({ from, to, subject, text }) => {
+  console.log(`
+  📧 Mail to ${to}
+  From:    ${from}
+  Subject: ${subject}
+
+${text}
+`);
+  return { accepted: [to] };
+};
+
+module.exports = { name, send };
@@ -0,0 +1,23 @@
+// Mail Transport: File
+// Writes every message as a JSON file into MAIL_OUTBOX_DIR
+// (default: <os tmp dir>/shoe-store-mail), newest file = latest mail.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const name = 'file';
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'shoe-store-mail');
+
+const send = async (message) => {
+  const dir = getOutboxDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+  return { accepted: [message.to], file };
+};
+
+module.exports = { name, send };
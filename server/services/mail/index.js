@@ -0,0 +1,39 @@
+// Mail
+// Every transport implements send({ from, to, subject, text }).
+// MAIL_TRANSPORT picks one (console | file, default: console);
+// a real provider only needs a new transport file registered here.
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+const templates = require('./templates');
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || consoleTransport.name;
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+// Send a message built from one of ./templates
+// e.g. sendMail(user.email, 'passwordReset', { name, url })
+const sendMail = async (to, templateName, data) => {
+  const template = templates[templateName];
+  if (!template) throw new Error(`Unknown mail template: ${templateName}`);
+
+  const { subject, text } = template(data);
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Shoe Store <no-reply@shoestore.local>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,51 @@
+// Mail Templates
+// Each template takes its data and returns { subject, text }.
+
+const passwordReset = ({ name, url, minutes }) => ({
+  subject: 'Reset your Shoe Store password',
+  text: `Hi ${name},
+
+We received a request to reset your password. Open this link to choose a new one:
+
+${url}
+
+The link works once and expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`
+});
+
+const passwordChanged = ({ name }) => ({
+  subject: 'Your Shoe Store password was changed',
+  text: `Hi ${name},
+
+Your password was just changed and all your other sessions were logged out.
+If this wasn't you, reset your password right away or contact support.`
+});
+
+const emailVerification = ({ name, url, minutes }) => ({
+  subject: 'Verify your Shoe Store email',
+  text: `Hi ${name},
+
+Please confirm your email address by opening this link:
+
+${url}
+
+The link expires in ${Math.round(minutes / 60)} hours.`
+});
+
+const twoFactorEnrollment = ({ name, url, minutes }) => ({
+  subject: 'Set up two-factor authentication for Shoe Store',
+  text: `Hi ${name},
+
+Admin accounts must use two-factor authentication. Someone just signed in with your
+password, so open this link to add your authenticator app and finish signing in:
+
+${url}
+
+The link expires in ${minutes} minutes. If this wasn't you, reset your password right away.`
+});
+
+module.exports = {
+  passwordReset,
+  passwordChanged,
+  emailVerification,
+  twoFactorEnrollment
+};
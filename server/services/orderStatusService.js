@@ -0,0 +1,108 @@
+// Service: Order Status Changes
+// Every status change goes through transitionOrder so the transition graph
+// on the Order model is enforced and the side effects always run:
+// - Shipped:   card payment captured (tracking number required)
+// - Delivered: actualDeliveryDate set, cash on delivery captured
+// - Cancelled: payment voided/refunded, items restocked
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const httpError = require('../utils/httpError');
+const { releaseOrderPayment, captureForOrderStatus } = require('./paymentService');
+
+// Move an order to newStatus on behalf of role (config/permissions);
+// asOwner when the caller is the order's customer.
+// Throws httpError 409 (with .allowed) for moves the graph does not allow.
+// Resolves to the saved order.
+const transitionOrder = async (order, newStatus, { role, asOwner = false, note = '', trackingNumber } = {}) => {
+  if (trackingNumber) {
+    order.trackingNumber = trackingNumber;
+  }
+
+  order.assertTransition(newStatus, role, { asOwner });
+  const fromStatus = order.orderStatus;
+
+  // Claim the move first: a concurrent change of the same order (say the
+  // customer and support both cancelling) matches nothing, so the payment
+  // is voided/refunded/captured and stock restored only once
+  const claimed = await Order.updateOne(
+    { _id: order._id, orderStatus: fromStatus },
+    { $set: { orderStatus: newStatus } }
+  );
+  if (claimed.matchedCount === 0) {
+    throw httpError(409, `Order is no longer ${fromStatus}`);
+  }
+
+  // Then the money: a provider failure hands the claim back and leaves
+  // the order as it was
+  const historyLength = order.statusHistory.length;
+  try {
+    if (newStatus === 'Cancelled') {
+      await releaseOrderPayment(order, note || 'Order cancelled');
+    } else {
+      await captureForOrderStatus(order, newStatus);
+    }
+  } catch (error) {
+    await Order.updateOne(
+      { _id: order._id, orderStatus: newStatus },
+      { $set: { orderStatus: fromStatus } }
+    );
+    throw error;
+  }
+
+  order.applyStatus(newStatus, note);
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // Restore stock (atomic $inc, also gives the units back from soldCount)
+      if (newStatus === 'Cancelled') {
+        for (const item of order.items) {
+          await Product.adjustVariantStock(
+            item.product, item.color, item.size, item.quantity,
+            { session, countAsSold: true }
+          );
+        }
+      }
+
+      await order.save({ session });
+    });
+  } catch (error) {
+    // The payment may already have moved; paymentService stored its new
+    // status and amounts, so hand the order status back with just the
+    // payment history. A retry then finds the payment done and only
+    // restocks and records the status. Flagged for staff either way.
+    const paymentHistory = order.statusHistory
+      .slice(historyLength)
+      .filter(entry => entry.type === 'payment')
+      .map(entry => entry.toObject({ virtuals: false }));
+    await Order.updateOne(
+      { _id: order._id, orderStatus: newStatus },
+      { $set: { orderStatus: fromStatus }, $push: { statusHistory: { $each: paymentHistory } } }
+    );
+
+    console.error(`Error saving order ${order._id} status ${fromStatus} -> ${newStatus}:`, error.message);
+    await AuditLog.record({
+      action: 'order.status_failed',
+      targetModel: 'Order',
+      targetId: order._id,
+      metadata: {
+        from: fromStatus,
+        to: newStatus,
+        paymentStatus: order.paymentStatus,
+        paymentMoved: paymentHistory.length > 0,
+        error: error.message
+      }
+    }).catch((auditError) => console.error('Error writing audit log (order.status_failed):', auditError.message));
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return order;
+};
+
+module.exports = {
+  transitionOrder
+};
@@ -0,0 +1,291 @@
+// Service: Order Payments
+// Moves an order's money through the provider (services/payments) and keeps
+// paymentStatus, the payment amounts and statusHistory in step with it.
+// Capture, refund and void claim the new payment status in the database
+// before calling the provider; everything else they change is left on the
+// order document for the caller to save (usually alongside other changes).
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { getProvider, getProviderForMethod, getGatewayProvider } = require('./payments');
+const httpError = require('../utils/httpError');
+const roundMoney = require('../utils/roundMoney');
+
+// Authorize the order total with the provider for its payment method
+// Declines throw 402 so createOrder's transaction rolls back.
+// Returns { provider, transactionId } so the caller can void the
+// authorization if the order is not committed after all.
+const authorizeOrderPayment = async (order) => {
+  const provider = getProviderForMethod(order.paymentMethod);
+  const result = await provider.authorize({
+    amount: order.totalAmount,
+    currency: 'USD',
+    orderId: order._id.toString(),
+    paymentMethod: order.paymentMethod
+  });
+
+  if (result.status === 'declined') {
+    throw httpError(402, result.message || 'Payment was declined');
+  }
+
+  order.payment = {
+    provider: provider.name,
+    transactionId: result.transactionId,
+    authorizedAmount: result.status === 'authorized' ? order.totalAmount : 0,
+    capturedAmount: 0,
+    refundedAmount: 0
+  };
+  if (result.status === 'authorized') {
+    order.recordPaymentStatus('Authorized', result.message);
+  }
+
+  return { provider: provider.name, transactionId: result.transactionId };
+};
+
+// Claim a payment change in the database before the provider moves money.
+// The update only matches while the stored payment is still what this order
+// document saw (its paymentStatus plus any extra filter), so a
+// concurrent capture/refund/void of the same order gets a 409 instead of
+// moving the money twice. Resolves to a function that hands the claim back
+// (for when the provider call fails).
+const claimPayment = async (order, changes, filter = {}) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, paymentStatus: order.paymentStatus, ...filter },
+    { $set: changes }
+  );
+  if (claimed.matchedCount === 0) {
+    throw httpError(409, 'The payment was changed by another request; reload the order');
+  }
+
+  const previous = { paymentStatus: order.paymentStatus };
+  Object.keys(changes).forEach(path => {
+    if (path !== 'paymentStatus') previous[path] = order.get(path);
+  });
+  return () => Order.updateOne({ _id: order._id, ...changes }, { $set: previous });
+};
+
+// Void an authorization returned by authorizeOrderPayment (no order needed)
+const voidAuthorization = async ({ provider, transactionId }) =>
+  getProvider(provider).void(transactionId);
+
+// Capture the authorized amount (or collect cash on delivery)
+const captureOrderPayment = async (order, note = '') => {
+  if (!['Pending', 'Authorized'].includes(order.paymentStatus)) {
+    throw httpError(409, `Cannot capture a payment that is ${order.paymentStatus}`);
+  }
+
+  // Orders placed before payments were authorized have no transaction;
+  // their capture is just recorded
+  const { provider, transactionId, authorizedAmount } = order.payment || {};
+  const amount = authorizedAmount || order.totalAmount;
+
+  const release = await claimPayment(order, { paymentStatus: 'Completed', 'payment.capturedAmount': amount });
+  let result;
+  try {
+    result = transactionId
+      ? await getProvider(provider).capture(transactionId, amount)
+      : { status: 'captured', amount };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  order.payment.capturedAmount = result.amount;
+  order.recordPaymentStatus('Completed', note || `Captured $${result.amount.toFixed(2)}`);
+  return result;
+};
+
+// Refund part or all of the captured amount
+// amount defaults to everything not refunded yet
+const refundOrderPayment = async (order, amount, note = '') => {
+  if (!['Completed', 'Partially Refunded'].includes(order.paymentStatus)) {
+    throw httpError(409, `Cannot refund a payment that is ${order.paymentStatus}`);
+  }
+
+  const refundable = roundMoney(order.payment.capturedAmount - order.payment.refundedAmount);
+  const refundAmount = roundMoney(amount === undefined ? refundable : Number(amount));
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw httpError(400, `Refund amount must be between 0 and ${refundable.toFixed(2)}`);
+  }
+
+  const refundedAmount = roundMoney(order.payment.refundedAmount + refundAmount);
+  const newStatus = refundedAmount >= order.payment.capturedAmount ? 'Refunded' : 'Partially Refunded';
+
+  // The refunded total is part of the claim, so two partial refunds
+  // started from the same total cannot both go through. Orders from before
+  // payments were tracked have no stored total (read as 0).
+  const release = await claimPayment(
+    order,
+    { paymentStatus: newStatus, 'payment.refundedAmount': refundedAmount },
+    { 'payment.refundedAmount': order.payment.refundedAmount > 0 ? order.payment.refundedAmount : { $in: [0, null] } }
+  );
+  let result;
+  try {
+    result = order.payment.transactionId
+      ? await getProvider(order.payment.provider).refund(order.payment.transactionId, refundAmount)
+      : { status: 'refunded', amount: refundAmount, refundId: null };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  order.payment.refundedAmount = refundedAmount;
+  order.recordPaymentStatus(newStatus, note || `Refunded $${refundAmount.toFixed(2)}`);
+  return result;
+};
+
+// Void an order's uncaptured authorization
+const voidOrderPayment = async (order, note = '') => {
+  if (!['Pending', 'Authorized'].includes(order.paymentStatus)) {
+    throw httpError(409, `Cannot void a payment that is ${order.paymentStatus}`);
+  }
+
+  const release = await claimPayment(order, { paymentStatus: 'Voided' });
+  try {
+    if (order.payment?.transactionId) {
+      await getProvider(order.payment.provider).void(order.payment.transactionId);
+    }
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  order.recordPaymentStatus('Voided', note || 'Authorization voided');
+};
+
+// Give the money back when an order is cancelled:
+// void if it was never captured, refund whatever is left otherwise
+const releaseOrderPayment = async (order, note = '') => {
+  if (['Pending', 'Authorized'].includes(order.paymentStatus)) {
+    return voidOrderPayment(order, note);
+  }
+  if (['Completed', 'Partially Refunded'].includes(order.paymentStatus)) {
+    return refundOrderPayment(order, undefined, note);
+  }
+};
+
+// Capture that belongs to an order status change: card payments are
+// captured when the order ships, cash when it is delivered
+const captureForOrderStatus = async (order, orderStatus) => {
+  if (orderStatus === 'Shipped' && order.paymentStatus === 'Authorized') {
+    return captureOrderPayment(order, 'Captured on shipment');
+  }
+  if (orderStatus === 'Delivered' && ['Pending', 'Authorized'].includes(order.paymentStatus)) {
+    return captureOrderPayment(order, order.paymentMethod === 'Cash on Delivery'
+      ? 'Cash collected on delivery'
+      : 'Captured on delivery');
+  }
+};
+
+// Webhook event type -> paymentStatus, and the statuses it may follow.
+// Events that do not fit the current status (late or out of order, e.g.
+// payment.authorized after a refund) are acknowledged but not applied.
+const WEBHOOK_EVENTS = {
+  'payment.authorized': { status: 'Authorized', from: ['Pending'] },
+  'payment.captured': { status: 'Completed', from: ['Pending', 'Authorized'] },
+  'payment.failed': { status: 'Failed', from: ['Pending', 'Authorized'] },
+  'payment.refunded': { status: 'Refunded', from: ['Completed', 'Partially Refunded'] },
+  'payment.partially_refunded': { status: 'Partially Refunded', from: ['Completed', 'Partially Refunded'] },
+  'payment.voided': { status: 'Voided', from: ['Pending', 'Authorized'] }
+};
+
+// Event amount, capped at what the payment allows (missing = the cap)
+const clampAmount = (amount, max) => {
+  const value = Number(amount);
+  return roundMoney(value > 0 ? Math.min(value, max) : max);
+};
+
+// Apply an event's status and amounts to the order (does not save)
+const applyWebhookEvent = (order, event, newStatus) => {
+  const { payment } = order;
+  const { amount } = event.data;
+  let status = newStatus;
+
+  if (status === 'Authorized') {
+    payment.authorizedAmount = clampAmount(amount, order.totalAmount);
+  }
+  if (status === 'Completed') {
+    payment.capturedAmount = clampAmount(amount, payment.authorizedAmount || order.totalAmount);
+  }
+  if (status === 'Refunded') {
+    payment.refundedAmount = payment.capturedAmount;
+  }
+  if (status === 'Partially Refunded') {
+    const refundable = roundMoney(payment.capturedAmount - payment.refundedAmount);
+    if (!(Number(amount) > 0)) {
+      throw httpError(400, `Webhook ${event.type} needs a positive amount`);
+    }
+    payment.refundedAmount = roundMoney(payment.refundedAmount + clampAmount(amount, refundable));
+    if (payment.refundedAmount >= payment.capturedAmount) status = 'Refunded';
+  }
+
+  order.recordPaymentStatus(status, `Webhook ${event.type} (${event.id})`);
+};
+
+// Verify and apply a gateway webhook
+// Events look like { id, type, data: { transactionId, amount } }.
+// Returns { order, duplicate, ignored }; throws 400 on a bad signature or
+// an unknown event, 404 when no order has the transaction.
+const handleWebhookEvent = async (rawBody, headers) => {
+  let event;
+  try {
+    event = getGatewayProvider().verifyWebhook(rawBody, headers);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  const rule = WEBHOOK_EVENTS[event.type];
+  if (!event.id || !rule || !event.data?.transactionId) {
+    throw httpError(400, `Unsupported webhook event ${event.type}`);
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findOne({ 'payment.transactionId': event.data.transactionId })
+        .select('+payment.processedEvents')
+        .session(session);
+      if (!order) {
+        throw httpError(404, `No order for transaction ${event.data.transactionId}`);
+      }
+
+      // Gateways redeliver events; claim the id so each one applies once.
+      // A concurrent delivery matches nothing (or write-conflicts and is
+      // retried), and any other event on the order conflicts the same way,
+      // so the amounts below are always computed from the latest payment.
+      const claimed = await Order.updateOne(
+        { _id: order._id, 'payment.processedEvents': { $ne: event.id } },
+        { $push: { 'payment.processedEvents': event.id } },
+        { session }
+      );
+      if (claimed.matchedCount === 0) {
+        result = { order, duplicate: true, ignored: false };
+        return;
+      }
+
+      if (!rule.from.includes(order.paymentStatus)) {
+        result = { order, duplicate: false, ignored: true };
+        return;
+      }
+
+      applyWebhookEvent(order, event, rule.status);
+      await order.save({ session });
+      result = { order, duplicate: false, ignored: false };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+module.exports = {
+  authorizeOrderPayment,
+  voidAuthorization,
+  captureOrderPayment,
+  refundOrderPayment,
+  voidOrderPayment,
+  releaseOrderPayment,
+  captureForOrderStatus,
+  handleWebhookEvent
+};
@@ -0,0 +1,29 @@
+// Payment Provider: Cash on Delivery
+// Nothing to authorize up front; the money is "captured" when the courier
+// collects it, and refunds are paid out manually.
+const name = 'cash';
+
+const authorize = async ({ orderId }) => ({
+  status: 'pending',
+  transactionId: `cash_${orderId}`,
+  message: 'Payment due on delivery'
+});
+
+const capture = async (transactionId, amount) => ({ status: 'captured', amount });
+
+const refund = async (transactionId, amount) => ({ status: 'refunded', amount, refundId: null });
+
+const voidAuthorization = async () => ({ status: 'voided' });
+
+const verifyWebhook = () => {
+  throw new Error('Cash payments do not send webhooks');
+};
+
+module.exports = {
+  name,
+  authorize,
+  capture,
+  refund,
+  void: voidAuthorization,
+  verifyWebhook
+};
@@ -0,0 +1,36 @@
+// Payment Providers
+// Every provider implements the same interface:
+//   authorize({ amount, currency, orderId, paymentMethod })
+//     -> { status: 'authorized' | 'pending' | 'declined', transactionId, message }
+//   capture(transactionId, amount)  -> { status: 'captured', amount }
+//   refund(transactionId, amount)   -> { status: 'refunded', amount, refundId }
+//   void(transactionId)             -> { status: 'voided' }
+//   verifyWebhook(rawBody, headers) -> parsed event (throws on a bad signature)
+// Card/PayPal payments go through PAYMENT_PROVIDER (default: mock);
+// Cash on Delivery always uses the cash provider.
+const mockProvider = require('./mockProvider');
+const cashProvider = require('./cashProvider');
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+  [cashProvider.name]: cashProvider
+};
+
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+// Provider used for online payments and webhooks
+const getGatewayProvider = () => getProvider(process.env.PAYMENT_PROVIDER || mockProvider.name);
+
+// Provider for an order's payment method
+const getProviderForMethod = (paymentMethod) =>
+  (paymentMethod === 'Cash on Delivery' ? cashProvider : getGatewayProvider());
+
+module.exports = {
+  getProvider,
+  getGatewayProvider,
+  getProviderForMethod
+};
@@ -0,0 +1,98 @@
+// Payment Provider: Mock
+// Offline stand-in for a real card gateway. Stateless: every call succeeds
+// for a 'mock_' transaction id, so the whole flow works without network.
+// Authorizations above MOCK_PAYMENT_DECLINE_OVER (if set) are declined.
+// Webhooks are signed like most gateways: header
+//   x-payment-signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Without PAYMENT_WEBHOOK_SECRET every webhook is refused.
+const crypto = require('crypto');
+
+const name = 'mock';
+const SIGNATURE_HEADER = 'x-payment-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) throw new Error('Webhooks are disabled: PAYMENT_WEBHOOK_SECRET is not set');
+  return secret;
+};
+
+const newTransactionId = () => `mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const assertMockTransaction = (transactionId) => {
+  if (!transactionId || !String(transactionId).startsWith('mock_')) {
+    throw new Error(`Unknown mock transaction ${transactionId}`);
+  }
+};
+
+// Reserve funds on the customer's payment method
+const authorize = async ({ amount, orderId }) => {
+  const declineOver = Number(process.env.MOCK_PAYMENT_DECLINE_OVER);
+  if (declineOver && amount > declineOver) {
+    return { status: 'declined', transactionId: null, message: 'Card declined by issuer (mock)' };
+  }
+  return {
+    status: 'authorized',
+    transactionId: newTransactionId(),
+    message: `Authorized $${amount.toFixed(2)} for order ${orderId}`
+  };
+};
+
+// Collect previously authorized funds
+const capture = async (transactionId, amount) => {
+  assertMockTransaction(transactionId);
+  return { status: 'captured', amount };
+};
+
+// Return captured funds (full or partial)
+const refund = async (transactionId, amount) => {
+  assertMockTransaction(transactionId);
+  return { status: 'refunded', amount, refundId: `mock_re_${crypto.randomBytes(8).toString('hex')}` };
+};
+
+// Cancel an authorization that was never captured
+const voidAuthorization = async (transactionId) => {
+  assertMockTransaction(transactionId);
+  return { status: 'voided' };
+};
+
+// Sign a webhook payload (used by scripts/sendMockWebhook.js)
+const signPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Verify the signature header and parse the event
+// Throws if the signature is missing, wrong or too old, or no secret is set
+const verifyWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  if (!header) throw new Error('Missing webhook signature');
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature timestamp out of tolerance');
+  }
+
+  const expected = Buffer.from(signPayload(rawBody, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(String(parts.v1 || ''), 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return JSON.parse(rawBody);
+};
+
+module.exports = {
+  name,
+  SIGNATURE_HEADER,
+  authorize,
+  capture,
+  refund,
+  void: voidAuthorization,
+  signPayload,
+  verifyWebhook
+};
@@ -0,0 +1,135 @@
+// Service: Order Pricing
+// Single place for the line / discount / shipping / tax / total math, so
+// createOrder and the checkout preview endpoints always agree on the numbers.
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const httpError = require('../utils/httpError');
+const roundMoney = require('../utils/roundMoney');
+const { calculateTax } = require('./taxService');
+const { quoteMethod } = require('./shippingService');
+
+// Totals for priced lines ({ category, subtotal, quantity, discountEligible }),
+// an optional discount (coupon, spread over the discountEligible lines), the shipping method and the destination. Shipping and
+// tax are based on the discounted subtotal.
+const calculateTotals = ({ lines, discount = 0, shippingAddress, shippingMethod }) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const discountedSubtotal = roundMoney(Math.max(0, subtotal - discount));
+
+  // Shipping by method and destination zone (config/shippingMethods)
+  const shipping = quoteMethod(shippingMethod, {
+    lines,
+    address: shippingAddress,
+    subtotal: discountedSubtotal
+  });
+  if (!shipping) {
+    throw httpError(400, `Shipping method ${shippingMethod} is not available for this destination`);
+  }
+
+  // Tax by destination (config/taxRates)
+  const taxResult = calculateTax(lines, shippingAddress, discount);
+
+  return {
+    subtotal,
+    discount: roundMoney(discount),
+    shipping,
+    shippingCost: shipping.cost,
+    tax: taxResult.tax,
+    taxJurisdiction: taxResult.jurisdiction,
+    taxLines: taxResult.lines,
+    totalAmount: roundMoney(discountedSubtotal + shipping.cost + taxResult.tax)
+  };
+};
+
+// Price a list of requested items ({ product, color, size, quantity })
+// Loads the products (in the session when given), checks the variants exist,
+// evaluates the coupon, rates the shipping method and returns every line
+// with its tax breakdown.
+// Throws httpError on unknown products/variants, an invalid coupon or a
+// shipping method that does not serve the destination.
+const buildQuote = async ({ items, shippingAddress, shippingMethod, couponCode, userId, session }) => {
+  const lines = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session || null);
+
+    if (!product) {
+      throw httpError(404, `Product ${item.product} not found`);
+    }
+
+    // Find the specific color and size
+    const color = product.colors.find(c => c.name === item.color);
+    if (!color) {
+      throw httpError(400, `Color ${item.color} not available for ${product.name}`);
+    }
+
+    const sizeVariant = color.sizes.find(s => s.size === item.size);
+    if (!sizeVariant) {
+      throw httpError(400, `Size ${item.size} not available for ${product.name} in ${item.color}`);
+    }
+
+    const quantity = Number(item.quantity);
+    lines.push({
+      product,
+      sizeVariant,
+      color: item.color,
+      size: item.size,
+      quantity,
+      brand: product.brand,
+      category: product.category,
+      unitPrice: product.finalPrice,
+      subtotal: product.finalPrice * quantity
+    });
+  }
+
+  // Coupon (validated only; createOrder redeems it)
+  let coupon = null;
+  let discount = 0;
+  if (couponCode) {
+    coupon = await Coupon.findByCode(couponCode).session(session || null);
+    if (!coupon) {
+      throw httpError(400, 'Invalid coupon code');
+    }
+
+    const evaluation = coupon.evaluate(lines, userId);
+    if (!evaluation.valid) {
+      throw httpError(400, evaluation.message);
+    }
+    discount = evaluation.discount;
+    lines.forEach(line => { line.discountEligible = coupon.appliesTo(line); });
+  }
+
+  const totals = calculateTotals({ lines, discount, shippingAddress, shippingMethod });
+  lines.forEach((line, index) => Object.assign(line, totals.taxLines[index]));
+
+  return { lines, coupon, ...totals };
+};
+
+// JSON-safe view of a quote for the preview endpoints
+const formatQuote = (quote) => ({
+  items: quote.lines.map(line => ({
+    product: line.product._id,
+    productName: line.product.name,
+    color: line.color,
+    size: line.size,
+    quantity: line.quantity,
+    unitPrice: roundMoney(line.unitPrice),
+    subtotal: roundMoney(line.subtotal),
+    taxRate: line.taxRate,
+    taxAmount: line.taxAmount,
+    taxExempt: line.taxExempt
+  })),
+  coupon: quote.coupon ? { code: quote.coupon.code, description: quote.coupon.description } : null,
+  subtotal: quote.subtotal,
+  discount: quote.discount,
+  shipping: quote.shipping,
+  shippingCost: quote.shippingCost,
+  tax: quote.tax,
+  taxJurisdiction: quote.taxJurisdiction,
+  totalAmount: quote.totalAmount
+});
+
+module.exports = {
+  calculateTotals,
+  buildQuote,
+  formatQuote
+};
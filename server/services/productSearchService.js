@@ -0,0 +1,424 @@
+// Service: Product Search, Facets & Suggestions
+// Turns the GET /api/products query into MongoDB filters and builds the
+// facet counts for the shop sidebar. Filters are kept per facet so each
+// facet can be counted with every OTHER active filter applied: ticking
+// "Nike" narrows the color counts, but still shows how many Adidas match.
+// Lists a page of products by a named sort with an opaque cursor, and
+// ranks the search-box suggestions (GET /api/products/suggest).
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+const Category = require('../models/Category');
+const httpError = require('../utils/httpError');
+const { MAX_PREFIX, words, trigrams, editDistance } = require('../utils/ngrams');
+
+const SIZES = Product.schema.path('colors').schema.path('sizes').schema.path('size').enumValues;
+
+// Price bands on the list price; max is exclusive, null for open-ended
+const PRICE_BANDS = [
+  { value: '0-50', min: 0, max: 50 },
+  { value: '50-100', min: 50, max: 100 },
+  { value: '100-150', min: 100, max: 150 },
+  { value: '150-200', min: 150, max: 200 },
+  { value: '200-', min: 200, max: null }
+];
+
+// "n stars & up"
+const RATING_BANDS = [4, 3, 2, 1];
+
+const priceRange = ({ min, max }) => ({ price: max === null ? { $gte: min } : { $gte: min, $lt: max } });
+
+// Color / size / stock filter on the embedded variants. Color and size must
+// match within the SAME color entry (Black in size 9, not Black in 8 plus
+// White in 9), and a size only counts while in stock.
+const variantClause = ({ color, size, inStockOnly }) => {
+  const hasColor = color?.length > 0;
+  const hasSize = size?.length > 0;
+  if (!hasSize && !inStockOnly) {
+    return hasColor ? { 'colors.name': { $in: color } } : null;
+  }
+
+  const sizeMatch = { stock: { $gt: 0 } };
+  if (hasSize) sizeMatch.size = { $in: size };
+  return {
+    colors: {
+      $elemMatch: {
+        ...(hasColor && { name: { $in: color } }),
+        sizes: { $elemMatch: sizeMatch }
+      }
+    }
+  };
+};
+
+// Filters from a validated query (list params are arrays)
+// base: applied everywhere (active, text search, featured)
+// clauses: one condition per facet, undefined when that facet is not used
+// variant: color, size and inStockOnly, combined by variantClause
+const buildFilters = async (query) => {
+  const {
+    search, brand, category, gender, color, size, inStockOnly,
+    priceBand, minPrice, maxPrice, minRating, featured
+  } = query;
+
+  const base = { isActive: true };
+  if (search) base.$text = { $search: search };
+  if (featured) base.isFeatured = true;
+
+  const clauses = {};
+  if (brand?.length) clauses.brand = { brand: { $in: brand } };
+
+  // A category also matches its subcategories (Running includes Trail)
+  if (category?.length) clauses.category = { category: { $in: await Category.subtreeNames(category) } };
+
+  if (gender?.length) clauses.gender = { gender: { $in: gender } };
+
+  const price = [];
+  if (priceBand?.length) {
+    price.push({ $or: PRICE_BANDS.filter(band => priceBand.includes(band.value)).map(priceRange) });
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const range = {};
+    if (minPrice !== undefined) range.$gte = minPrice;
+    if (maxPrice !== undefined) range.$lte = maxPrice;
+    price.push({ price: range });
+  }
+  if (price.length) clauses.price = price.length === 1 ? price[0] : { $and: price };
+
+  if (minRating) clauses.rating = { averageRating: { $gte: minRating } };
+
+  return { base, clauses, variant: { color, size, inStockOnly } };
+};
+
+// Every condition except the one for `skip` (a facet's own filter)
+const otherClauses = ({ clauses, variant }, skip) => {
+  const conditions = Object.entries(clauses)
+    .filter(([facet, condition]) => facet !== skip && condition)
+    .map(([, condition]) => condition);
+
+  const variantCondition = variantClause({ ...variant, [skip]: undefined });
+  if (variantCondition) conditions.push(variantCondition);
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// The full product filter
+const toQuery = (filters) => ({ ...filters.base, ...otherClauses(filters) });
+
+// Counts for one facet, over the other filters
+const facetPipelines = (filters) => {
+  const { color, size, inStockOnly } = filters.variant;
+  const match = (facet) => ({ $match: otherClauses(filters, facet) });
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ];
+
+  return {
+    brand: [match('brand'), ...countBy('$brand')],
+    category: [match('category'), ...countBy('$category')],
+    gender: [match('gender'), ...countBy('$gender')],
+    // Distinct products per color, not color entries. With a size or
+    // in-stock filter only colors that have such a variant count.
+    color: [
+      match('color'),
+      { $unwind: '$colors' },
+      ...(size?.length || inStockOnly
+        ? [{ $match: { 'colors.sizes': { $elemMatch: { stock: { $gt: 0 }, ...(size?.length && { size: { $in: size } }) } } } }]
+        : []),
+      { $group: { _id: { product: '$_id', name: '$colors.name' }, hexCode: { $first: '$colors.hexCode' } } },
+      { $group: { _id: '$_id.name', hexCode: { $first: '$hexCode' }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ],
+    // Products with the size in stock in at least one (selected) color
+    size: [
+      match('size'),
+      { $unwind: '$colors' },
+      ...(color?.length ? [{ $match: { 'colors.name': { $in: color } } }] : []),
+      { $unwind: '$colors.sizes' },
+      { $match: { 'colors.sizes.stock': { $gt: 0 } } },
+      { $group: { _id: { product: '$_id', size: '$colors.sizes.size' } } },
+      ...countBy('$_id.size')
+    ],
+    price: [
+      match('price'),
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: PRICE_BANDS.map(band => band.min),
+          default: PRICE_BANDS[PRICE_BANDS.length - 1].min,
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    rating: [
+      match('rating'),
+      {
+        $group: RATING_BANDS.reduce((group, stars) => ({
+          ...group,
+          [`stars${stars}`]: { $sum: { $cond: [{ $gte: ['$averageRating', stars] }, 1, 0] } }
+        }), { _id: null })
+      }
+    ]
+  };
+};
+
+// A category's count includes its subcategories, matching the filter
+const rollUpCategories = async (buckets) => {
+  const own = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+  const counts = new Map(own);
+  const categories = await Category.find({ name: { $in: [...own.keys()] } }).select('name ancestors').lean();
+
+  categories.forEach(category => {
+    category.ancestors.forEach(ancestor => {
+      counts.set(ancestor.name, (counts.get(ancestor.name) || 0) + own.get(category.name));
+    });
+  });
+  return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => a.value.localeCompare(b.value));
+};
+
+// Facet buckets: { brand: [{ value, count }], ..., price: [{ value, min, max, count }] }
+// Price and rating list every band (zero counts included); the others only
+// list values that match at least one product.
+const getFacets = async (filters) => {
+  const [result] = await Product.aggregate([
+    { $match: filters.base },
+    { $facet: facetPipelines(filters) }
+  ]);
+
+  const toBuckets = (buckets) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+  const priceCounts = new Map(result.price.map(bucket => [bucket._id, bucket.count]));
+  const ratingCounts = result.rating[0] || {};
+
+  return {
+    brand: toBuckets(result.brand),
+    category: await rollUpCategories(result.category),
+    gender: toBuckets(result.gender),
+    color: result.color.map(bucket => ({ value: bucket._id, hexCode: bucket.hexCode, count: bucket.count })),
+    size: toBuckets(result.size).sort((a, b) => SIZES.indexOf(a.value) - SIZES.indexOf(b.value)),
+    price: PRICE_BANDS.map(band => ({ ...band, count: priceCounts.get(band.min) || 0 })),
+    rating: RATING_BANDS.map(stars => ({ value: stars, count: ratingCounts[`stars${stars}`] || 0 }))
+  };
+};
+
+// LISTING
+
+// Named sorts: [field, direction] keys, _id last so every position is unique.
+// relevance needs a text search and falls back to newest without one.
+const SORTS = {
+  relevance: [['score', -1], ['_id', -1]],
+  newest: [['createdAt', -1], ['_id', -1]],
+  price_asc: [['salePrice', 1], ['_id', 1]],
+  price_desc: [['salePrice', -1], ['_id', -1]],
+  best_selling: [['soldCount', -1], ['_id', -1]],
+  top_rated: [['averageRating', -1], ['totalReviews', -1], ['_id', -1]]
+};
+
+const SORT_MODES = Object.keys(SORTS);
+
+// Cursor: base64url JSON of the sort and the sort values of the last
+// product returned. Dates travel as milliseconds, ids as hex strings.
+const encodeCursor = (sort, product) => {
+  const values = SORTS[sort].map(([field]) => {
+    const value = product[field];
+    if (value instanceof Date) return value.getTime();
+    return field === '_id' ? String(value) : value ?? null;
+  });
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'Invalid cursor');
+  }
+  const keys = SORTS[sort];
+  if (decoded?.sort !== sort || !Array.isArray(decoded.values) || decoded.values.length !== keys.length) {
+    throw httpError(400, 'Invalid cursor for this sort');
+  }
+  // The values go into the range filter, so each must be the plain type its
+  // field sorts on: a hex id, or a finite number (createdAt in milliseconds).
+  // null (a product without salePrice, before search:reindex) is refused too.
+  return keys.map(([field], index) => {
+    const value = decoded.values[index];
+    if (field === '_id') {
+      if (typeof value !== 'string' || !mongoose.isObjectIdOrHexString(value)) {
+        throw httpError(400, 'Invalid cursor for this sort');
+      }
+      return new mongoose.Types.ObjectId(value);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw httpError(400, 'Invalid cursor for this sort');
+    }
+    return field === 'createdAt' ? new Date(value) : value;
+  });
+};
+
+// Everything after the cursor position in sort order (keyset pagination):
+// (a < a0) or (a = a0 and b < b0) or ... for descending keys
+const afterCursor = (keys, values) => ({
+  $or: keys.map(([field, direction], index) => ({
+    ...Object.fromEntries(keys.slice(0, index).map(([previous], j) => [previous, values[j]])),
+    [field]: { [direction === 1 ? '$gt' : '$lt']: values[index] }
+  }))
+});
+
+// One page of products: { data, nextCursor, total, sort }
+// total is only counted for the first page (no cursor). Products added
+// while paging land in their sorted place without shifting later pages.
+// The page runs as a plain $match -> $sort -> $limit so MongoDB can walk
+// the matching sort index and stop after limit + 1 products; the total is
+// a separate count.
+const listProducts = async (filters, { sort, cursor, limit }) => {
+  const hasSearch = Boolean(filters.base.$text);
+  let mode = sort || (hasSearch ? 'relevance' : 'newest');
+  if (mode === 'relevance' && !hasSearch) mode = 'newest';
+  const keys = SORTS[mode];
+
+  const query = toQuery(filters);
+  const after = cursor && afterCursor(keys, decodeCursor(cursor, mode));
+
+  // The text score only exists after the $text match
+  const match = mode === 'relevance'
+    ? [
+      { $match: query },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      ...(after ? [{ $match: after }] : [])
+    ]
+    : [{ $match: after ? { $and: [query, after] } : query }];
+
+  const [page, total] = await Promise.all([
+    Product.aggregate([
+      ...match,
+      { $sort: Object.fromEntries(keys) },
+      { $limit: limit + 1 },
+      { $project: { searchPrefixes: 0, searchTrigrams: 0 } }
+    ]),
+    cursor ? undefined : Product.countDocuments(query)
+  ]);
+
+  const hasMore = page.length > limit;
+  const rows = page.slice(0, limit);
+
+  return {
+    sort: mode,
+    data: rows.map(row => Product.hydrate(row)),
+    nextCursor: hasMore ? encodeCursor(mode, rows[rows.length - 1]) : null,
+    total
+  };
+};
+
+// SUGGESTIONS
+
+const SUGGESTION_LIMITS = { names: 5, brands: 3, categories: 3, products: 4 };
+
+// Typos tolerated in a query word: none for short words, then 1, then 2
+const allowedTypos = (word) => (word.length < 4 ? 0 : word.length < 7 ? 1 : 2);
+
+// How well a query word matches a word of a name: 1 for a prefix
+// ("adi" -> "adidas"), less per typo ("runing" -> "running"), 0 otherwise.
+// Typed-so-far words are compared with the start of the word as well.
+const wordScore = (queryWord, word) => {
+  if (word.startsWith(queryWord)) return 1;
+  const typos = Math.min(
+    editDistance(queryWord, word),
+    editDistance(queryWord, word.slice(0, queryWord.length))
+  );
+  return typos <= allowedTypos(queryWord) ? 1 - typos * 0.25 : 0;
+};
+
+// Every query word must match some word of the text; the score is the average
+const textScore = (queryWords, text) => {
+  const textWords = words(text);
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const best = Math.max(0, ...textWords.map(word => wordScore(queryWord, word)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / queryWords.length;
+};
+
+// Best scoring entries first (ties: original order), zero scores dropped
+const rank = (entries, score, limit) => entries
+  .map((entry, index) => ({ entry, index, score: score(entry) }))
+  .filter(ranked => ranked.score > 0)
+  .sort((a, b) => b.score - a.score || a.index - b.index)
+  .slice(0, limit);
+
+const PRODUCT_FIELDS = 'name brand category mainImage price discountPercentage soldCount averageRating';
+
+// Suggestions for a partly typed query:
+// 1. Prefix: products whose name/brand/category words start with every
+//    query word (searchPrefixes index), best sellers first
+// 2. N-gram fallback: products sharing a trigram with the query
+//    (searchTrigrams index), kept when every word matches within the
+//    allowed typos
+// Brands and categories are few, so they are scored in memory.
+const suggest = async (query) => {
+  const queryWords = words(query).map(word => word.slice(0, MAX_PREFIX));
+  if (queryWords.length === 0) {
+    return { query, fuzzy: false, names: [], brands: [], categories: [], products: [] };
+  }
+
+  const [brands, categories, prefixMatches] = await Promise.all([
+    Brand.find({ isActive: true }).select('name slug logoUrl').sort({ name: 1 }).lean(),
+    Category.find({ isActive: true }).select('name slug ancestors').sort({ name: 1 }),
+    Product.find({ isActive: true, searchPrefixes: { $all: queryWords } })
+      .select(PRODUCT_FIELDS)
+      .sort({ soldCount: -1, averageRating: -1 })
+      .limit(20)
+  ]);
+
+  let candidates = prefixMatches;
+  if (candidates.length === 0) {
+    candidates = await Product.find({ isActive: true, searchTrigrams: { $in: trigrams(query) } })
+      .select(PRODUCT_FIELDS)
+      .sort({ soldCount: -1, averageRating: -1 })
+      .limit(100);
+  }
+
+  const products = rank(
+    candidates,
+    product => textScore(queryWords, `${product.name} ${product.brand} ${product.category}`),
+    20
+  );
+
+  // A brand or category matches when any query word does ("nike air" -> Nike)
+  const anyWord = (name) => Math.max(...queryWords.map(queryWord => textScore([queryWord], name)));
+  const rankedBrands = rank(brands, brand => anyWord(brand.name), SUGGESTION_LIMITS.brands);
+  const rankedCategories = rank(categories, category => anyWord(category.name), SUGGESTION_LIMITS.categories);
+
+  const names = [...new Set(products.map(ranked => ranked.entry.name))].slice(0, SUGGESTION_LIMITS.names);
+
+  const scores = [...products, ...rankedBrands, ...rankedCategories].map(ranked => ranked.score);
+
+  return {
+    query,
+    // Nothing matched exactly: every suggestion is a typo correction
+    fuzzy: scores.length > 0 && scores.every(score => score < 1),
+    names,
+    brands: rankedBrands.map(({ entry }) => ({ name: entry.name, slug: entry.slug, logoUrl: entry.logoUrl })),
+    categories: rankedCategories.map(({ entry }) => ({ name: entry.name, slug: entry.slug, path: entry.path })),
+    products: products.slice(0, SUGGESTION_LIMITS.products).map(({ entry }) => ({
+      _id: entry._id,
+      name: entry.name,
+      brand: entry.brand,
+      mainImage: entry.mainImage,
+      price: entry.price,
+      finalPrice: entry.finalPrice
+    }))
+  };
+};
+
+module.exports = {
+  PRICE_BANDS,
+  RATING_BANDS,
+  SORT_MODES,
+  buildFilters,
+  toQuery,
+  getFacets,
+  listProducts,
+  suggest
+};
@@ -0,0 +1,114 @@
+// Service: Auth Sessions
+// Short-lived JWT access tokens (ACCESS_TOKEN_TTL, default 15m) plus
+// rotating refresh tokens (REFRESH_TOKEN_TTL_DAYS, default 30) kept
+// hashed in the Session collection.
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const httpError = require('../utils/httpError');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Access token for a user in a session
+const generateAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+// Start a session for a user who just logged in or registered
+// Returns { token, refreshToken }
+const createSession = async (user, req) => {
+  const refreshToken = Session.generateToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: Session.hashToken(refreshToken),
+    userAgent: req.get('user-agent')?.slice(0, 300),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token
+// The hash is swapped with a conditional update, so two refreshes racing
+// with the same token cannot both succeed. Reusing an already rotated
+// token revokes the session. Throws httpError 401.
+const rotateSession = async (refreshToken) => {
+  if (!refreshToken) {
+    throw httpError(401, 'Refresh token is required');
+  }
+
+  const tokenHash = Session.hashToken(refreshToken);
+  const newToken = Session.generateToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: Session.hashToken(newToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  ).populate('user', 'isActive');
+
+  if (!session) {
+    // An old token came back: it was stolen or replayed
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    throw httpError(401, 'Refresh token is invalid or has expired');
+  }
+
+  if (!session.user || !session.user.isActive) {
+    session.revokedAt = new Date();
+    await session.save();
+    throw httpError(401, 'Refresh token is invalid or has expired');
+  }
+
+  return {
+    token: generateAccessToken(session.user._id, session._id),
+    refreshToken: newToken
+  };
+};
+
+// Revoke the session a refresh token belongs to (logout on one device)
+const revokeSession = async (refreshToken) => {
+  if (!refreshToken) return;
+  await Session.updateOne(
+    { tokenHash: Session.hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Revoke every session of a user (logout on all devices), optionally
+// keeping one (the device that changed the password)
+// Resolves to the number of sessions revoked
+const revokeAllSessions = async (userId, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
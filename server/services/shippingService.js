@@ -0,0 +1,76 @@
+// Service: Shipping
+// Rates and delivery estimates for the methods in config/shippingMethods.
+const shippingConfig = require('../config/shippingMethods');
+const roundMoney = require('../utils/roundMoney');
+
+const DOMESTIC_COUNTRIES = ['USA', 'US', 'UNITED STATES', 'UNITED STATES OF AMERICA'];
+
+// Pick the zone for a destination
+const getZone = (address = {}) => {
+  const country = String(address.country || 'USA').trim().toUpperCase();
+  if (!DOMESTIC_COUNTRIES.includes(country)) return 'international';
+
+  const state = String(address.state || '').trim().toUpperCase();
+  return shippingConfig.remoteStates.includes(state) ? 'remote' : 'domestic';
+};
+
+// Add business days (skips Saturday and Sunday)
+const addBusinessDays = (from, days) => {
+  const date = new Date(from);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    const day = date.getDay();
+    if (day !== 0 && day !== 6) remaining -= 1;
+  }
+  return date;
+};
+
+// Price one method for a shipment, or null if it does not ship to the zone
+const rateMethod = (method, { zone, itemCount, weightKg, subtotal }) => {
+  const days = method.deliveryDays[zone];
+  if (!days) return null;
+
+  const isFree = method.freeOver !== null && zone === 'domestic' && subtotal >= method.freeOver;
+  const multiplier = shippingConfig.zones[zone].multiplier;
+  const cost = isFree
+    ? 0
+    : roundMoney((method.base + method.perItem * itemCount + method.perKg * weightKg) * multiplier);
+
+  const now = new Date();
+  return {
+    code: method.code,
+    name: method.name,
+    zone,
+    cost,
+    minDays: days[0],
+    maxDays: days[1],
+    estimatedDeliveryDate: addBusinessDays(now, days[1]),
+    earliestDeliveryDate: addBusinessDays(now, days[0])
+  };
+};
+
+// Quote every available method for a destination and a set of lines
+// (lines: [{ quantity }], subtotal: after discount)
+const quoteShipping = ({ lines, address, subtotal }) => {
+  const zone = getZone(address);
+  const itemCount = lines.reduce((sum, line) => sum + Number(line.quantity || 0), 0);
+  const weightKg = itemCount * shippingConfig.defaultItemWeightKg;
+
+  return shippingConfig.methods
+    .map(method => rateMethod(method, { zone, itemCount, weightKg, subtotal }))
+    .filter(Boolean);
+};
+
+// Quote a single method (defaults to the configured default method)
+// Returns null if the method is unknown or does not ship to the destination
+const quoteMethod = (code, { lines, address, subtotal }) => {
+  const methodCode = code || shippingConfig.defaultMethod;
+  return quoteShipping({ lines, address, subtotal }).find(option => option.code === methodCode) || null;
+};
+
+module.exports = {
+  getZone,
+  quoteShipping,
+  quoteMethod
+};
@@ -0,0 +1,78 @@
+// Service: Tax
+// Picks the rule for a shipping destination from config/taxRates and
+// returns a per-line breakdown (stored on each order item).
+const taxRates = require('../config/taxRates');
+const roundMoney = require('../utils/roundMoney');
+
+// Country names arrive free-typed from the checkout form
+const COUNTRY_ALIASES = {
+  US: 'USA',
+  'UNITED STATES': 'USA',
+  'UNITED STATES OF AMERICA': 'USA',
+  CA: 'Canada',
+  CANADA: 'Canada'
+};
+
+const normalizeCountry = (country) => {
+  const value = String(country || 'USA').trim();
+  return COUNTRY_ALIASES[value.toUpperCase()] || value;
+};
+
+// Find the tax rule for an address
+// Returns { jurisdiction, rate, exemptCategories }
+const getTaxRule = (address = {}) => {
+  const country = normalizeCountry(address.country);
+  const state = String(address.state || '').trim().toUpperCase();
+  const countryRules = taxRates.countries[country];
+
+  if (!countryRules) {
+    return { jurisdiction: country, ...taxRates.default };
+  }
+
+  const stateRule = countryRules.states && countryRules.states[state];
+  if (stateRule) {
+    return { jurisdiction: `${country}-${state}`, ...stateRule };
+  }
+
+  return { jurisdiction: country, ...countryRules.default };
+};
+
+const isExempt = (rule, category) =>
+  rule.exemptCategories.includes('*') || rule.exemptCategories.includes(category);
+
+// Calculate tax for priced lines ({ category, subtotal, discountEligible })
+// An order-level discount is spread over the lines it applies to
+// (discountEligible) in proportion to their subtotal, so only what the
+// customer actually pays is taxed.
+// Returns { jurisdiction, tax, lines: [{ discountAmount, taxRate, taxAmount, taxExempt }] }
+const calculateTax = (lines, address, discount = 0) => {
+  const rule = getTaxRule(address);
+  const eligibleSubtotal = lines
+    .filter(line => line.discountEligible)
+    .reduce((sum, line) => sum + line.subtotal, 0);
+
+  const breakdown = lines.map(line => {
+    const taxExempt = isExempt(rule, line.category);
+    const share = line.discountEligible && eligibleSubtotal > 0 ? line.subtotal / eligibleSubtotal : 0;
+    const discountAmount = Math.min(line.subtotal, discount * share);
+    const taxRate = taxExempt ? 0 : rule.rate;
+
+    return {
+      discountAmount: roundMoney(discountAmount),
+      taxRate,
+      taxAmount: roundMoney((line.subtotal - discountAmount) * taxRate),
+      taxExempt
+    };
+  });
+
+  return {
+    jurisdiction: rule.jurisdiction,
+    tax: roundMoney(breakdown.reduce((sum, line) => sum + line.taxAmount, 0)),
+    lines: breakdown
+  };
+};
+
+module.exports = {
+  getTaxRule,
+  calculateTax
+};
@@ -0,0 +1,121 @@
+// Service: Brand & Category Taxonomy
+// Products (and coupon scopes) store brand and category NAMES, so a rename
+// is cascaded to them in the same transaction as the rename itself. Moving
+// a category rewrites the ancestors of its whole subtree. Anything still in
+// use cannot be deleted: deactivate it instead.
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const httpError = require('../utils/httpError');
+
+// Run fn(session) in a transaction
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Replace a name in products (refreshing their search grams) and coupon scopes
+const renameReferences = async (field, scopeField, from, to, session) => {
+  const products = await Product.find({ [field]: from }).select('name brand category').session(session).lean();
+  if (products.length > 0) {
+    await Product.bulkWrite(products.map(product => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { [field]: to, ...Product.searchGrams({ ...product, [field]: to }) } }
+      }
+    })), { session });
+  }
+  await Coupon.updateMany(
+    { [scopeField]: from },
+    { $set: { [`${scopeField}.$[entry]`]: to } },
+    { arrayFilters: [{ entry: from }], session }
+  );
+};
+
+// Apply updates to a brand; a new name is carried over to its products
+const updateBrand = (brand, updates) => inTransaction(async (session) => {
+  const previousName = brand.name;
+  brand.set(updates);
+  await brand.save({ session });
+
+  if (brand.name !== previousName) {
+    await renameReferences('brand', 'brands', previousName, brand.name, session);
+  }
+  return brand;
+});
+
+const deleteBrand = async (brand) => {
+  const inUse = await Product.countDocuments({ brand: brand.name });
+  if (inUse > 0) {
+    throw httpError(409, `${brand.name} is used by ${inUse} product(s). Deactivate it instead.`);
+  }
+  await brand.deleteOne();
+};
+
+// Rewrite the ancestors of everything below a category after it was
+// renamed or moved (descendants keep their position inside the subtree)
+const rebuildSubtree = async (category, session) => {
+  const prefix = [
+    ...category.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    { _id: category._id, name: category.name, slug: category.slug }
+  ];
+  const descendants = await Category.find({ 'ancestors._id': category._id }).session(session);
+
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex(ancestor => ancestor._id.equals(category._id));
+    const below = descendant.ancestors.slice(index + 1).map(({ _id, name, slug }) => ({ _id, name, slug }));
+    await Category.updateOne(
+      { _id: descendant._id },
+      { $set: { ancestors: [...prefix, ...below] } },
+      { session }
+    );
+  }
+};
+
+// Apply updates to a category (name, parent, ...); the ancestors hook in
+// the model refuses moves under itself
+const updateCategory = (category, updates) => inTransaction(async (session) => {
+  const previousName = category.name;
+  category.set(updates);
+  const treeChanged = category.isModified('name') || category.isModified('slug') || category.isModified('parent');
+  await category.save({ session });
+
+  if (treeChanged) {
+    await rebuildSubtree(category, session);
+  }
+  if (category.name !== previousName) {
+    await renameReferences('category', 'categories', previousName, category.name, session);
+  }
+  return category;
+});
+
+const deleteCategory = async (category) => {
+  const [children, inUse] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ category: category.name })
+  ]);
+  if (children > 0) {
+    throw httpError(409, `${category.name} has subcategories. Move or delete them first.`);
+  }
+  if (inUse > 0) {
+    throw httpError(409, `${category.name} is used by ${inUse} product(s). Deactivate it instead.`);
+  }
+  await category.deleteOne();
+};
+
+module.exports = {
+  updateBrand,
+  deleteBrand,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,177 @@
+// Service: Two-Factor Authentication
+// TOTP codes (services/totp) plus one-time backup codes, and the short-lived
+// challenge token that carries a half-finished login from POST /login to
+// POST /login/2fa. The challenge is a JWT without a session id, so
+// middleware/auth.protect never accepts it as an access token.
+// REQUIRE_ADMIN_2FA=true makes 2FA mandatory for role 'admin'.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const httpError = require('../utils/httpError');
+const totp = require('./totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'ShoeStore';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const CHALLENGE_PURPOSE = '2fa-login';
+const BACKUP_CODE_COUNT = 10;
+
+// Fields needed to check a second factor
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+// Is 2FA mandatory for this user under the current policy?
+const isRequiredFor = (user) =>
+  process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
+
+// Challenge token for a user who passed the password step
+const createChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL
+  });
+
+// User id from a challenge token; throws httpError 401 when it is
+// missing, expired or not a challenge
+const readChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('Not a login challenge');
+    return decoded.id;
+  } catch (error) {
+    throw httpError(401, 'Login challenge expired. Please sign in again.');
+  }
+};
+
+// Start enrollment: store a pending secret and return what the
+// authenticator app needs ({ secret, otpauthUri })
+const startEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri(secret, user.email, ISSUER)
+  };
+};
+
+// Fresh backup codes: the raw codes go to the user once, the hashes are stored
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Accept a TOTP code once: the step is stored with a conditional update,
+// so the same code cannot be replayed (not even by two racing requests)
+const acceptCode = async (userId, secret, code) => {
+  const step = totp.verifyCode(secret, code);
+  if (step === null) return false;
+
+  const claimed = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return claimed.modifiedCount > 0;
+};
+
+// Finish enrollment with the first code from the app
+// Resolves to the backup codes (shown once), or null for a wrong code;
+// throws httpError 400 when no enrollment was started
+const completeEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+
+  if (!user || !user.twoFactor.pendingSecret) {
+    throw httpError(400, 'Start two-factor setup first');
+  }
+
+  const { pendingSecret } = user.twoFactor;
+  if (!(await acceptCode(user._id, pendingSecret, code))) {
+    return null;
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.backupCodes': hashes
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+
+  return codes;
+};
+
+// Check the second factor of a 2FA user: a TOTP `code` or a `backupCode`
+// (backup codes are removed as they are used)
+// Resolves to { method, remainingBackupCodes } or null when it does not match
+const verifySecondFactor = async (userId, { code, backupCode } = {}) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || !user.twoFactor.enabled) return null;
+
+  if (code) {
+    const accepted = await acceptCode(user._id, user.twoFactor.secret, code);
+    return accepted
+      ? { method: 'totp', remainingBackupCodes: user.twoFactor.backupCodes.length }
+      : null;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    // $pull only matches while the code is unused, so it works exactly once
+    const used = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return used.modifiedCount > 0
+      ? { method: 'backup', remainingBackupCodes: user.twoFactor.backupCodes.length - 1 }
+      : null;
+  }
+
+  return null;
+};
+
+// Replace all backup codes; returns the new raw codes
+const regenerateBackupCodes = async (userId) => {
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+  return codes;
+};
+
+// Turn 2FA off and forget the secrets
+const disableTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    }
+  );
+
+module.exports = {
+  isRequiredFor,
+  createChallenge,
+  readChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+};
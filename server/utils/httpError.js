@@ -0,0 +1,11 @@
+// Helper: HTTP-aware Error
+// Lets services and transactions throw an error that already carries the
+// status code the controller should respond with (errorHandler reads it too)
+const httpError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+module.exports = httpError;
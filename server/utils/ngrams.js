@@ -0,0 +1,76 @@
+// Helper: n-grams and fuzzy matching for search suggestions
+// "New Balance 990" -> words ['new', 'balance', '990']
+//   prefixes: 'ne', 'new', 'ba', 'bal', ... (every word start, 2+ letters)
+//   trigrams: '  n', ' ne', 'new', 'ew ', ... (word padded with spaces)
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+
+// Lowercase, accents stripped, split on anything but letters and digits
+const words = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Word starts of every word (edge n-grams)
+const prefixes = (text) => {
+  const grams = new Set();
+  words(text).forEach(word => {
+    for (let length = MIN_PREFIX; length <= Math.min(word.length, MAX_PREFIX); length += 1) {
+      grams.add(word.slice(0, length));
+    }
+  });
+  return [...grams];
+};
+
+// Trigrams of every word, padded so short words and word edges count
+const trigrams = (text) => {
+  const grams = new Set();
+  words(text).forEach(word => {
+    const padded = `  ${word} `;
+    for (let index = 0; index < padded.length - 2; index += 1) {
+      grams.add(padded.slice(index, index + 3));
+    }
+  });
+  return [...grams];
+};
+
+// Dice coefficient of two trigram sets: 1 identical, 0 nothing shared
+const similarity = (a, b) => {
+  const gramsA = new Set(trigrams(a));
+  const gramsB = trigrams(b);
+  if (gramsA.size === 0 || gramsB.length === 0) return 0;
+  const shared = gramsB.filter(gram => gramsA.has(gram)).length;
+  return (2 * shared) / (gramsA.size + gramsB.length);
+};
+
+// Edit distance: insert / delete / substitute / swap two neighbours
+// (optimal string alignment, so "nkie" is one edit from "nike")
+const editDistance = (a, b) => {
+  const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+  for (let i = 1; i <= a.length; i += 1) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+module.exports = {
+  MAX_PREFIX,
+  words,
+  prefixes,
+  trigrams,
+  similarity,
+  editDistance
+};
@@ -0,0 +1,4 @@
+// Helper: Round a money amount to cents
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = roundMoney;
@@ -0,0 +1,11 @@
+// Helper: URL slug from a display name
+// "New Balance" -> "new-balance", "Trail & Hiking" -> "trail-hiking"
+const slugify = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;
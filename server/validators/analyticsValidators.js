@@ -0,0 +1,40 @@
+// Validation schemas: /api/stats
+const { optionalText, optionalOneOf, optionalDate } = require('./common');
+
+const limit = (max) => ({
+  in: ['query'],
+  optional: true,
+  isInt: { options: { min: 1, max }, errorMessage: `Limit must be between 1 and ${max}` },
+  toInt: true
+});
+
+const getRevenueStats = {
+  startDate: optionalDate('startDate'),
+  endDate: optionalDate('endDate')
+};
+
+const getTopRatedProducts = {
+  limit: limit(50)
+};
+
+const getBestSellers = {
+  limit: limit(50),
+  category: optionalText('Category', 50, 'query')
+};
+
+const getSalesTrends = {
+  period: optionalOneOf('Period', ['hourly', 'daily', 'weekly', 'monthly'], 'query'),
+  days: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 366 }, errorMessage: 'Days must be between 1 and 366' },
+    toInt: true
+  }
+};
+
+module.exports = {
+  getRevenueStats,
+  getTopRatedProducts,
+  getBestSellers,
+  getSalesTrends
+};
@@ -0,0 +1,22 @@
+// Validation schemas: /api/audit
+const {
+  optionalId,
+  optionalText,
+  pagination,
+  optionalDate
+} = require('./common');
+
+const getAuditLogs = {
+  action: optionalText('Action', 60, 'query'),
+  targetModel: optionalText('Target model', 30, 'query'),
+  targetId: optionalId('targetId', 'query'),
+  actor: optionalId('actor', 'query'),
+  actorEmail: optionalText('Actor email', 100, 'query'),
+  from: optionalDate('from'),
+  to: optionalDate('to'),
+  ...pagination(200)
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -0,0 +1,189 @@
+// Validation schemas: /api/auth (account, two-factor, address book)
+const {
+  idParam,
+  optionalText,
+  requiredText,
+  optionalBoolean,
+  ADDRESS_LINES,
+  addressFields
+} = require('./common');
+
+const email = {
+  isString: { errorMessage: 'Email is required', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'Please provide a valid email' },
+  toLowerCase: true
+};
+
+// A password being checked (any length: old accounts may predate the rules)
+const password = (label = 'Password') => ({
+  isString: { errorMessage: `${label} is required`, bail: true },
+  notEmpty: { errorMessage: `${label} is required` }
+});
+
+// A password being set
+const newPassword = (label = 'Password') => ({
+  isString: { errorMessage: `${label} is required`, bail: true },
+  isLength: {
+    options: { min: 6, max: 128 },
+    errorMessage: `${label} must be between 6 and 128 characters`
+  }
+});
+
+const token = (label) => requiredText(label, 2000);
+
+// { code } or { backupCode }; required unless `optional`
+const secondFactor = ({ optional = false } = {}) => ({
+  code: {
+    custom: {
+      options: (value, { req }) => {
+        if (value === undefined) {
+          if (optional || req.body.backupCode !== undefined) return true;
+          throw new Error('Provide an authentication code or a backup code');
+        }
+        if (typeof value !== 'string' || value.length > 20) {
+          throw new Error('Authentication code must be text');
+        }
+        return true;
+      }
+    }
+  },
+  backupCode: optionalText('Backup code', 30)
+});
+
+const name = {
+  ...requiredText('Name', 50),
+  isLength: { options: { min: 2, max: 50 }, errorMessage: 'Name must be between 2 and 50 characters' }
+};
+
+const register = {
+  name,
+  email,
+  password: newPassword(),
+  phoneNumber: optionalText('Phone number', 30),
+  ...addressFields('address', { required: false })
+};
+
+const login = {
+  email,
+  password: password()
+};
+
+const loginTwoFactor = {
+  challengeToken: token('Challenge token'),
+  ...secondFactor()
+};
+
+const loginTwoFactorSetup = {
+  token: token('Setup token')
+};
+
+const loginTwoFactorEnable = {
+  token: token('Setup token'),
+  code: requiredText('Authentication code', 20)
+};
+
+const refresh = {
+  refreshToken: token('Refresh token')
+};
+
+const logout = {
+  refreshToken: optionalText('Refresh token', 2000)
+};
+
+const forgotPassword = {
+  email
+};
+
+const resetPassword = {
+  token: token('Reset token'),
+  password: newPassword()
+};
+
+const verifyEmail = {
+  token: token('Verification token')
+};
+
+const changePassword = {
+  currentPassword: password('Current password'),
+  newPassword: newPassword('New password')
+};
+
+const updateProfile = {
+  name: { ...name, optional: true },
+  phoneNumber: optionalText('Phone number', 30),
+  ...addressFields('address', { required: false }),
+  // Refused here: it needs the current password at PUT /api/auth/password
+  password: {
+    optional: true,
+    custom: {
+      options: () => {
+        throw new Error('Use PUT /api/auth/password to change your password');
+      }
+    }
+  }
+};
+
+const deleteMe = {
+  password: password(),
+  ...secondFactor({ optional: true })
+};
+
+const enableTwoFactor = {
+  code: requiredText('Authentication code', 20)
+};
+
+const disableTwoFactor = {
+  password: password(),
+  ...secondFactor()
+};
+
+const regenerateBackupCodes = {
+  code: requiredText('Authentication code', 20)
+};
+
+// Address book entries; on update every field is optional
+const addressBookEntry = ({ partial = false } = {}) => {
+  const schema = {
+    label: partial ? optionalText('Label', 40) : requiredText('Label', 40),
+    isDefaultShipping: optionalBoolean('isDefaultShipping'),
+    isDefaultBilling: optionalBoolean('isDefaultBilling')
+  };
+  for (const [line, [label, max]] of Object.entries(ADDRESS_LINES)) {
+    schema[line] = partial || line === 'country' ? optionalText(label, max) : requiredText(label, max);
+  }
+  return schema;
+};
+
+const addAddress = addressBookEntry();
+
+const updateAddress = {
+  addressId: idParam('address id'),
+  ...addressBookEntry({ partial: true })
+};
+
+const deleteAddress = {
+  addressId: idParam('address id')
+};
+
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  changePassword,
+  updateProfile,
+  deleteMe,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  addAddress,
+  updateAddress,
+  deleteAddress
+};
@@ -0,0 +1,69 @@
+// Validation schemas: /api/cart, /api/reservations and /api/shipping
+const {
+  idParam,
+  requiredText,
+  optionalText,
+  addressFields,
+  LINE_ITEM,
+  lineItems
+} = require('./common');
+
+// /items/:productId/:color/:size
+const cartItemParams = {
+  productId: idParam('product id'),
+  color: {
+    in: ['params'],
+    isLength: { options: { min: 1, max: 50 }, errorMessage: 'Color is required' }
+  },
+  size: { in: ['params'], ...LINE_ITEM.size }
+};
+
+// One line; quantity defaults to 1
+const addCartItem = {
+  product: LINE_ITEM.product,
+  color: LINE_ITEM.color,
+  size: LINE_ITEM.size,
+  quantity: { optional: true, ...LINE_ITEM.quantity }
+};
+
+// Quantity 0 removes the item
+const updateCartItem = {
+  ...cartItemParams,
+  quantity: {
+    isInt: { options: { min: 0, max: 99 }, errorMessage: 'Quantity must be between 0 and 99' },
+    toInt: true
+  }
+};
+
+const removeCartItem = cartItemParams;
+
+// Lines come from localStorage: invalid ones are skipped by the controller
+const mergeCart = {
+  items: {
+    optional: true,
+    isArray: { options: { max: 100 }, errorMessage: 'Items must be a list of up to 100 lines' }
+  }
+};
+
+const applyCoupon = {
+  code: requiredText('Coupon code', 30),
+  ...addressFields('shippingAddress', { label: 'Shipping address', required: false })
+};
+
+const holdCheckoutItems = lineItems();
+
+const getShippingQuote = {
+  ...lineItems(),
+  ...addressFields('shippingAddress', { label: 'Shipping address', required: false }),
+  couponCode: optionalText('Coupon code', 30)
+};
+
+module.exports = {
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  mergeCart,
+  applyCoupon,
+  holdCheckoutItems,
+  getShippingQuote
+};
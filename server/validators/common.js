@@ -0,0 +1,196 @@
+// Validation building blocks shared by the route schemas
+// Each schema is an express-validator checkSchema object, run by
+// middleware/validate. Fields default to the body; params and query say so.
+const Product = require('../models/Product');
+
+const SIZES = Product.schema.path('colors').schema.path('sizes').schema.path('size').enumValues;
+
+// :id style route parameter holding an ObjectId
+const idParam = (label = 'id') => ({
+  in: ['params'],
+  isMongoId: { errorMessage: `Invalid ${label}` }
+});
+
+// Optional ObjectId in the body or the query
+const optionalId = (label, location = 'body') => ({
+  in: [location],
+  optional: true,
+  isMongoId: { errorMessage: `Invalid ${label}` }
+});
+
+// Optional trimmed string with a maximum length
+const optionalText = (label, max, location = 'body') => ({
+  in: [location],
+  optional: true,
+  isString: { errorMessage: `${label} must be text` },
+  trim: true,
+  isLength: { options: { max }, errorMessage: `${label} cannot exceed ${max} characters` }
+});
+
+// Required, non-empty trimmed string
+const requiredText = (label, max = 200) => ({
+  isString: { errorMessage: `${label} is required`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required`, bail: true },
+  isLength: { options: { max }, errorMessage: `${label} cannot exceed ${max} characters` }
+});
+
+// Optional value from a fixed list
+const optionalOneOf = (label, values, location = 'body') => ({
+  in: [location],
+  optional: true,
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` }
+});
+
+// ?page=&limit= (limit capped at max)
+const pagination = (max = 100) => ({
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive whole number' },
+    toInt: true
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max }, errorMessage: `Limit must be between 1 and ${max}` },
+    toInt: true
+  }
+});
+
+// Optional ISO date in the query
+const optionalDate = (label) => ({
+  in: ['query'],
+  optional: true,
+  isISO8601: { errorMessage: `${label} must be a date` }
+});
+
+// Optional "true"/"false" flag (query strings or JSON booleans)
+const optionalBoolean = (label, location = 'body') => ({
+  in: [location],
+  optional: true,
+  isBoolean: { errorMessage: `${label} must be true or false` },
+  toBoolean: true
+});
+
+// Optional list in the query: "Nike,Adidas" or repeated ?brand=Nike&brand=Adidas,
+// sanitized to an array. `values` restricts the entries to a fixed list.
+const optionalList = (label, { max = 50, values } = {}) => ({
+  in: ['query'],
+  optional: true,
+  customSanitizer: {
+    options: (value) => [].concat(value)
+      .flatMap(entry => String(entry).split(','))
+      .map(entry => entry.trim())
+      .filter(Boolean)
+  },
+  custom: {
+    options: (list) => {
+      if (list.length > 20) throw new Error(`${label} accepts at most 20 values`);
+      if (list.some(entry => entry.length > max)) throw new Error(`${label} values cannot exceed ${max} characters`);
+      if (values && list.some(entry => !values.includes(entry))) {
+        throw new Error(`${label} must be one of: ${values.join(', ')}`);
+      }
+      return true;
+    }
+  }
+});
+
+// Address lines: field -> [label, max length]
+const ADDRESS_LINES = {
+  street: ['Street', 100],
+  city: ['City', 60],
+  state: ['State', 60],
+  zipCode: ['Zip code', 20],
+  country: ['Country', 60],
+  phoneNumber: ['Phone number', 30]
+};
+
+// Lines a deliverable address must have (country defaults to USA)
+const REQUIRED_ADDRESS_LINES = ['street', 'city', 'state', 'zipCode', 'phoneNumber'];
+
+// Street address object under `prefix` (shippingAddress, address, ...)
+// required: true, false, or (req) => boolean (e.g. "unless an addressId is given")
+const addressFields = (prefix, { label = 'Address', required = true } = {}) => {
+  const isRequired = typeof required === 'function' ? required : () => required;
+
+  const schema = {
+    [prefix]: {
+      custom: {
+        options: (value, { req }) => {
+          if (value === undefined && !isRequired(req)) return true;
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${label} is required`);
+          }
+          if (!isRequired(req)) return true;
+
+          const missing = REQUIRED_ADDRESS_LINES
+            .filter(line => typeof value[line] !== 'string' || !value[line].trim())
+            .map(line => ADDRESS_LINES[line][0].toLowerCase());
+          if (missing.length > 0) {
+            throw new Error(`${label} is missing: ${missing.join(', ')}`);
+          }
+          return true;
+        }
+      },
+      // Only the address lines are kept
+      customSanitizer: {
+        options: value => (value && typeof value === 'object' && !Array.isArray(value)
+          ? Object.fromEntries(Object.keys(ADDRESS_LINES).filter(line => line in value).map(line => [line, value[line]]))
+          : value)
+      }
+    }
+  };
+
+  for (const [line, [lineLabel, max]] of Object.entries(ADDRESS_LINES)) {
+    schema[`${prefix}.${line}`] = optionalText(lineLabel, max);
+  }
+  return schema;
+};
+
+// One cart-style line: { product, color, size, quantity }
+const LINE_ITEM = {
+  product: {
+    isMongoId: { errorMessage: 'Invalid product id' }
+  },
+  color: requiredText('Color', 50),
+  // Sizes arrive as strings ("9") or numbers (9)
+  size: {
+    customSanitizer: { options: value => (typeof value === 'number' ? String(value) : value) },
+    isIn: { options: [SIZES], errorMessage: `Size must be one of: ${SIZES.join(', ')}` }
+  },
+  quantity: {
+    isInt: { options: { min: 1, max: 99 }, errorMessage: 'Quantity must be between 1 and 99' },
+    toInt: true
+  }
+};
+
+// A list of lines under `field`
+const lineItems = (field = 'items', { max = 50 } = {}) => {
+  const schema = {
+    [field]: {
+      isArray: { options: { min: 1, max }, errorMessage: `Provide between 1 and ${max} items` }
+    }
+  };
+  for (const [key, rule] of Object.entries(LINE_ITEM)) {
+    schema[`${field}.*.${key}`] = rule;
+  }
+  return schema;
+};
+
+module.exports = {
+  SIZES,
+  idParam,
+  optionalId,
+  optionalText,
+  requiredText,
+  optionalOneOf,
+  pagination,
+  optionalDate,
+  optionalBoolean,
+  optionalList,
+  ADDRESS_LINES,
+  addressFields,
+  LINE_ITEM,
+  lineItems
+};
@@ -0,0 +1,93 @@
+// Validation schemas: /api/coupons
+// Redemption counters (usedCount, usedBy) are not accepted: only
+// Coupon.redeem changes them.
+const {
+  idParam,
+  optionalText,
+  requiredText,
+  optionalBoolean
+} = require('./common');
+
+// Whole number >= 1, or null for "unlimited"
+const limit = (label) => ({
+  optional: true,
+  custom: {
+    options: (value) => {
+      if (value === null) return true;
+      if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+        throw new Error(`${label} must be a whole number of at least 1, or null for unlimited`);
+      }
+      return true;
+    }
+  },
+  customSanitizer: { options: value => (value === null ? null : Number(value)) }
+});
+
+// Date, or null to clear it
+const date = (label) => ({
+  optional: true,
+  custom: {
+    options: (value) => {
+      if (value === null || !Number.isNaN(Date.parse(value))) return true;
+      throw new Error(`${label} must be a date`);
+    }
+  }
+});
+
+// Scope lists of brand / category names: empty = every brand / category
+const scope = (field, label) => ({
+  [field]: {
+    optional: true,
+    isArray: { errorMessage: `${label} must be a list` }
+  },
+  [`${field}.*`]: requiredText(label, 50)
+});
+
+const couponFields = ({ partial = false } = {}) => ({
+  code: {
+    optional: partial,
+    isString: { errorMessage: 'Coupon code is required', bail: true },
+    trim: true,
+    matches: { options: [/^[A-Za-z0-9_-]{3,30}$/], errorMessage: 'Code may only contain letters, digits, - and _ (3-30)' },
+    toUpperCase: true
+  },
+  description: optionalText('Description', 200),
+  discountType: {
+    optional: partial,
+    isIn: { options: [['percent', 'fixed']], errorMessage: 'Discount type must be percent or fixed' }
+  },
+  discountValue: {
+    optional: partial,
+    isFloat: { options: { min: 0 }, errorMessage: 'Discount cannot be negative' },
+    toFloat: true
+  },
+  minSubtotal: {
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: 'Minimum subtotal cannot be negative' },
+    toFloat: true
+  },
+  ...scope('brands', 'Brand'),
+  ...scope('categories', 'Category'),
+  usageLimit: limit('Usage limit'),
+  perUserLimit: limit('Per-user limit'),
+  startsAt: date('Start date'),
+  expiresAt: date('Expiry date'),
+  isActive: optionalBoolean('isActive')
+});
+
+const createCoupon = couponFields();
+
+const updateCoupon = {
+  id: idParam('coupon id'),
+  ...couponFields({ partial: true })
+};
+
+const couponId = {
+  id: idParam('coupon id')
+};
+
+module.exports = {
+  createCoupon,
+  updateCoupon,
+  couponId
+};
@@ -0,0 +1,103 @@
+// Validation schemas: /api/orders (orders and returns)
+const Order = require('../models/Order');
+const shippingConfig = require('../config/shippingMethods');
+const {
+  idParam,
+  optionalId,
+  optionalText,
+  requiredText,
+  optionalOneOf,
+  pagination,
+  addressFields,
+  lineItems
+} = require('./common');
+
+const ORDER_STATUSES = Order.schema.path('orderStatus').enumValues;
+const PAYMENT_METHODS = Order.schema.path('paymentMethod').enumValues;
+const RETURN_STATUSES = Order.schema.path('returns').schema.path('status').enumValues;
+const SHIPPING_METHODS = shippingConfig.methods.map(method => method.code);
+
+const orderId = {
+  id: idParam('order id')
+};
+
+const returnId = {
+  ...orderId,
+  returnId: idParam('return id')
+};
+
+const note = optionalText('Note', 500);
+
+const quoteOrder = {
+  ...lineItems(),
+  addressId: optionalId('address id'),
+  // Partial addresses are fine while the customer is still typing
+  ...addressFields('shippingAddress', { label: 'Shipping address', required: false }),
+  shippingMethod: optionalOneOf('Shipping method', SHIPPING_METHODS),
+  couponCode: optionalText('Coupon code', 30)
+};
+
+const createOrder = {
+  ...quoteOrder,
+  // A full address, unless it comes from the address book
+  ...addressFields('shippingAddress', {
+    label: 'Shipping address',
+    required: req => !req.body.addressId
+  }),
+  paymentMethod: {
+    isIn: { options: [PAYMENT_METHODS], errorMessage: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` }
+  },
+  customerNotes: optionalText('Notes', 500)
+};
+
+const getAllOrders = {
+  status: optionalOneOf('Status', ORDER_STATUSES, 'query'),
+  ...pagination(100)
+};
+
+const updateOrderStatus = {
+  ...orderId,
+  status: {
+    isIn: { options: [ORDER_STATUSES], errorMessage: `Status must be one of: ${ORDER_STATUSES.join(', ')}` }
+  },
+  note,
+  trackingNumber: optionalText('Tracking number', 60)
+};
+
+const requestReturn = {
+  ...orderId,
+  ...lineItems(),
+  'items.*.reason': requiredText('Return reason', 300),
+  note
+};
+
+const getAllReturns = {
+  status: optionalOneOf('Status', RETURN_STATUSES, 'query')
+};
+
+const reviewReturn = {
+  ...returnId,
+  note
+};
+
+const refundReturn = {
+  ...returnId,
+  amount: {
+    optional: true,
+    isFloat: { options: { gt: 0 }, errorMessage: 'Refund amount must be greater than 0' },
+    toFloat: true
+  },
+  note
+};
+
+module.exports = {
+  orderId,
+  quoteOrder,
+  createOrder,
+  getAllOrders,
+  updateOrderStatus,
+  requestReturn,
+  getAllReturns,
+  reviewReturn,
+  refundReturn
+};
@@ -0,0 +1,28 @@
+// Validation schemas: /api/payments
+// The webhook is not listed: it is checked by its signature.
+const { idParam, optionalText } = require('./common');
+
+const orderId = {
+  orderId: idParam('order id')
+};
+
+const paymentNote = {
+  ...orderId,
+  note: optionalText('Note', 500)
+};
+
+// amount defaults to the remaining captured amount
+const refundPayment = {
+  ...paymentNote,
+  amount: {
+    optional: true,
+    isFloat: { options: { gt: 0 }, errorMessage: 'Refund amount must be greater than 0' },
+    toFloat: true
+  }
+};
+
+module.exports = {
+  capturePayment: paymentNote,
+  voidPayment: paymentNote,
+  refundPayment
+};
@@ -0,0 +1,186 @@
+// Validation schemas: /api/products
+const Product = require('../models/Product');
+const {
+  SIZES,
+  idParam,
+  optionalText,
+  requiredText,
+  optionalOneOf,
+  pagination,
+  optionalBoolean,
+  optionalList,
+  LINE_ITEM
+} = require('./common');
+const { PRICE_BANDS, RATING_BANDS, SORT_MODES } = require('../services/productSearchService');
+
+// Brands and categories are checked against their collections by the model
+const GENDERS = Product.schema.path('gender').enumValues;
+
+const HEX_COLOR = /^#([A-Fa-f0-9]{6})$/;
+
+const oneOf = (label, values) => ({
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` }
+});
+
+const price = (label, max) => ({
+  isFloat: { options: { min: 0, max }, errorMessage: `${label} must be between 0 and ${max}` },
+  toFloat: true
+});
+
+const hexCode = {
+  matches: { options: [HEX_COLOR], errorMessage: 'Please provide valid hex color code' }
+};
+
+const { size } = LINE_ITEM;
+
+// List filters take several values ("Nike,Adidas"); ?facets=true adds the
+// facet counts to the response
+const getProducts = {
+  search: optionalText('Search', 100, 'query'),
+  brand: optionalList('Brand'),
+  // Also matches the categories' subcategories
+  category: optionalList('Category'),
+  gender: optionalList('Gender', { values: GENDERS }),
+  // Color and size match within one color entry; a size must be in stock
+  color: optionalList('Color', { max: 30 }),
+  size: optionalList('Size', { values: SIZES }),
+  inStockOnly: optionalBoolean('inStockOnly', 'query'),
+  priceBand: optionalList('Price band', { values: PRICE_BANDS.map(band => band.value) }),
+  minPrice: { in: ['query'], optional: true, ...price('minPrice', 10000) },
+  maxPrice: { in: ['query'], optional: true, ...price('maxPrice', 10000) },
+  minRating: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: Math.max(...RATING_BANDS) }, errorMessage: `minRating must be between 1 and ${Math.max(...RATING_BANDS)}` },
+    toInt: true
+  },
+  sort: optionalOneOf('Sort', SORT_MODES, 'query'),
+  // nextCursor of the previous page (checked by the service)
+  cursor: optionalText('Cursor', 500, 'query'),
+  featured: optionalBoolean('featured', 'query'),
+  facets: optionalBoolean('facets', 'query'),
+  limit: pagination(100).limit
+};
+
+// Search-box suggestions: ?q= (at least two characters)
+const suggest = {
+  q: {
+    in: ['query'],
+    ...requiredText('Search text', 50),
+    isLength: { options: { min: 2, max: 50 }, errorMessage: 'Search text must be between 2 and 50 characters' }
+  }
+};
+
+// Product body; `partial` (PATCH) makes every top-level field optional.
+// Derived fields (ratings, reviews, stock and sold counters) are not
+// accepted, so the whitelist keeps them out of updates.
+const productFields = ({ partial = false } = {}) => {
+  const schema = {
+    name: {
+      ...requiredText('Name', 100),
+      isLength: { options: { min: 3, max: 100 }, errorMessage: 'Name must be between 3 and 100 characters' }
+    },
+    description: {
+      ...requiredText('Description', 2000),
+      isLength: { options: { min: 10, max: 2000 }, errorMessage: 'Description must be between 10 and 2000 characters' }
+    },
+    brand: requiredText('Brand', 50),
+    category: requiredText('Category', 50),
+    gender: oneOf('Gender', GENDERS),
+    price: price('Price', 10000),
+    mainImage: requiredText('Main image URL', 500),
+    discountPercentage: { optional: true, ...price('Discount', 100) },
+    colors: {
+      optional: true,
+      isArray: { options: { min: 1, max: 30 }, errorMessage: 'At least one color option is required' }
+    },
+    'colors.*.name': requiredText('Color name', 50),
+    'colors.*.hexCode': hexCode,
+    'colors.*.imageUrl': optionalText('Color image URL', 500),
+    'colors.*.sizes': {
+      isArray: { options: { min: 1, max: SIZES.length }, errorMessage: 'Each color needs at least one size' }
+    },
+    'colors.*.sizes.*.size': size,
+    'colors.*.sizes.*.stock': {
+      isInt: { options: { min: 0 }, errorMessage: 'Stock cannot be negative' },
+      toInt: true
+    },
+    // Array, or a comma-separated string from a simple form
+    additionalImages: {
+      optional: true,
+      customSanitizer: {
+        options: value => (typeof value === 'string'
+          ? value.split(',').map(url => url.trim()).filter(Boolean)
+          : value)
+      },
+      isArray: { options: { max: 20 }, errorMessage: 'Up to 20 additional images are allowed' }
+    },
+    'additionalImages.*': requiredText('Image URL', 500),
+    tags: {
+      optional: true,
+      isArray: { options: { max: 30 }, errorMessage: 'Up to 30 tags are allowed' }
+    },
+    'tags.*': requiredText('Tag', 30),
+    isFeatured: optionalBoolean('isFeatured'),
+    isActive: optionalBoolean('isActive')
+  };
+
+  if (partial) {
+    for (const field of ['name', 'description', 'brand', 'category', 'gender', 'price', 'mainImage']) {
+      schema[field] = { ...schema[field], optional: true };
+    }
+  } else {
+    // Placeholder color used when a new product has no colors yet
+    schema.defaultColorName = optionalText('Default color name', 50);
+    schema.defaultHexCode = { optional: true, ...hexCode };
+  }
+
+  return schema;
+};
+
+const createProduct = productFields();
+
+const updateProduct = {
+  id: idParam('product id'),
+  ...productFields({ partial: true })
+};
+
+// { colorName, size } plus stock (set) or quantity (increment)
+const updateStock = {
+  id: idParam('product id'),
+  colorName: requiredText('Color name', 50),
+  size,
+  stock: {
+    optional: { options: { values: 'null' } },
+    isInt: { options: { min: 0 }, errorMessage: 'Stock must be a non-negative number' },
+    toInt: true
+  },
+  quantity: {
+    optional: { options: { values: 'null' } },
+    isInt: { errorMessage: 'Quantity must be a whole number' },
+    toInt: true
+  }
+};
+
+const addReview = {
+  id: idParam('product id'),
+  rating: {
+    isInt: { options: { min: 1, max: 5 }, errorMessage: 'Rating must be between 1 and 5' },
+    toInt: true
+  },
+  comment: requiredText('Comment', 500)
+};
+
+const productId = {
+  id: idParam('product id')
+};
+
+module.exports = {
+  getProducts,
+  suggest,
+  createProduct,
+  updateProduct,
+  updateStock,
+  addReview,
+  productId
+};
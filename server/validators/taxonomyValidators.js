@@ -0,0 +1,63 @@
+// Validation schemas: /api/brands and /api/categories
+const {
+  idParam,
+  optionalText,
+  requiredText,
+  optionalBoolean
+} = require('./common');
+
+const slug = {
+  optional: true,
+  isString: { errorMessage: 'Slug must be text', bail: true },
+  trim: true,
+  toLowerCase: true,
+  matches: {
+    options: [/^[a-z0-9]+(-[a-z0-9]+)*$/],
+    errorMessage: 'Slug may only contain lowercase letters, digits and single dashes'
+  }
+};
+
+const list = {
+  includeInactive: optionalBoolean('includeInactive', 'query')
+};
+
+const bySlug = {
+  slug: {
+    in: ['params'],
+    isSlug: { errorMessage: 'Invalid slug' }
+  }
+};
+
+const byId = {
+  id: idParam('id')
+};
+
+// Shared fields; `partial` (PATCH) makes the name optional
+const taxonomyFields = (imageField, { partial = false } = {}) => ({
+  name: { ...requiredText('Name', 50), optional: partial },
+  slug,
+  description: optionalText('Description', 500),
+  [imageField]: optionalText('Image URL', 500),
+  isActive: optionalBoolean('isActive')
+});
+
+// A parent category id, or null to make it top-level
+const parent = {
+  optional: true,
+  custom: {
+    options: (value) => {
+      if (value === null || /^[a-f0-9]{24}$/i.test(String(value))) return true;
+      throw new Error('Invalid parent category');
+    }
+  }
+};
+
+module.exports = {
+  list,
+  bySlug,
+  byId,
+  createBrand: taxonomyFields('logoUrl'),
+  updateBrand: { ...byId, ...taxonomyFields('logoUrl', { partial: true }) },
+  createCategory: { ...taxonomyFields('imageUrl'), parent },
+  updateCategory: { ...byId, ...taxonomyFields('imageUrl', { partial: true }), parent }
+};
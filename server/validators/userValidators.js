@@ -0,0 +1,45 @@
+// Validation schemas: /api/users
+const { ROLES } = require('../config/permissions');
+const {
+  idParam,
+  optionalText,
+  optionalOneOf,
+  pagination,
+  optionalBoolean
+} = require('./common');
+
+const getUsers = {
+  search: optionalText('Search', 100, 'query'),
+  role: optionalOneOf('Role', ROLES, 'query'),
+  isActive: optionalBoolean('isActive', 'query'),
+  ...pagination(100)
+};
+
+const userId = {
+  id: idParam('user id')
+};
+
+// At least one of role / isActive
+const updateUser = {
+  ...userId,
+  role: {
+    custom: {
+      options: (value, { req }) => {
+        if (value === undefined && req.body.isActive === undefined) {
+          throw new Error('Provide role and/or isActive');
+        }
+        if (value !== undefined && !ROLES.includes(value)) {
+          throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+        return true;
+      }
+    }
+  },
+  isActive: optionalBoolean('isActive')
+};
+
+module.exports = {
+  getUsers,
+  userId,
+  updateUser
+};